@@ -5,6 +5,9 @@ const bodyParser = require('body-parser');
 const multer = require('multer');
 const XLSX = require('xlsx');
 const PDFDocument = require('pdfkit');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
 const router = express.Router();
 // === Segurança e Sessão ===
 const session = require('express-session');
@@ -12,6 +15,13 @@ const PgSession = require('connect-pg-simple')(session);
 const bcrypt = require('bcrypt');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
+const nodemailer = require('nodemailer');
+const QRCode = require('qrcode');
+const {
+  FORMAS_PAGAMENTO, centavos, calcularDesconto, calcularPagamentos,
+  PREFIXO_EAN_INTERNO, gtinValido, formatBarcodeFromId,
+  paraBase32, conferirTotp, normalizarRecuperacao
+} = require('./utilitarios');
 
 const app = express();
 const port = process.env.PORT || 3000;
@@ -31,6 +41,13 @@ app.use(express.json());
 app.use(express.static('public'));
 app.set('view engine', 'ejs');
 
+// Atrás de proxy reverso (nginx etc.), TRUST_PROXY faz req.ip (usado na auditoria) ser o IP do cliente:
+// número de proxies, "true" ou a lista de IPs/sub-redes confiáveis
+if (process.env.TRUST_PROXY) {
+  const trust = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trust) ? Number(trust) : trust === 'true' ? true : trust);
+}
+
 // Segurança básica (headers)
 app.use(helmet({
   contentSecurityPolicy: false, // deixe false se não configurar CSP nas views
@@ -82,36 +99,480 @@ async function getUsersCount() {
   return rows[0].total;
 }
 
+// Preço de venda em vigor: o programado (promoção) quando houver, senão valor_venda, senão o custo.
+// As consultas que alimentam getPreco trazem `preco_programado` com SQL_PRECO_PROGRAMADO.
 function getPreco(produto) {
-  const preco = Number(produto.valor_venda || produto.valor_unitario || 0);
+  const preco = Number(produto.preco_programado ?? (produto.valor_venda || produto.valor_unitario || 0));
   return preco.toFixed(2);
 }
 
-// barcode sempre 12 dígitos, baseado no id
-function formatBarcodeFromId(id) {
-  const s = String(id || '');
-  if (!/^\d+$/.test(s)) {
-    return s.padStart(12, '0').slice(-12);
+// Preço programado vigente agora para o produto `p` (NULL se não houver). Os períodos não se
+// sobrepõem, mas o ORDER BY garante um único valor mesmo com dados antigos.
+const SQL_PRECO_PROGRAMADO = `(
+  SELECT pp.valor_venda FROM precos_programados pp
+  WHERE pp.id_produto = p.id AND pp.inicio <= LOCALTIMESTAMP AND (pp.fim IS NULL OR pp.fim > LOCALTIMESTAMP)
+  ORDER BY pp.inicio DESC, pp.id DESC
+  LIMIT 1
+)`;
+
+// Grava no histórico a troca de custo e/ou preço de venda; não grava nada se nenhum dos dois mudou.
+// `anterior` é null no cadastro.
+async function registrarHistoricoPreco(db, { id_produto, anterior, novo, origem, id_usuario }) {
+  const valor = v => (v === null || v === undefined || v === '' ? null : centavos(v));
+  const antes = { valor_unitario: valor(anterior?.valor_unitario), valor_venda: valor(anterior?.valor_venda) };
+  const depois = { valor_unitario: valor(novo.valor_unitario), valor_venda: valor(novo.valor_venda) };
+  if (anterior && antes.valor_unitario === depois.valor_unitario && antes.valor_venda === depois.valor_venda) return;
+  await db.query(
+    `INSERT INTO precos_historico
+       (id_produto, valor_unitario_anterior, valor_unitario, valor_venda_anterior, valor_venda, origem, id_usuario)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [id_produto, antes.valor_unitario, depois.valor_unitario, antes.valor_venda, depois.valor_venda, origem, id_usuario || null]
+  );
+}
+
+// Envia uma planilha (array de linhas, a primeira é o cabeçalho) como XLSX ou CSV.
+// O CSV sai com ';' e BOM para abrir direto no Excel em português.
+function enviarPlanilha(res, nomeBase, formato, linhas) {
+  const sheet = XLSX.utils.aoa_to_sheet(linhas);
+  if (formato === 'csv') {
+    res.attachment(`${nomeBase}.csv`);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    return res.send('\uFEFF' + XLSX.utils.sheet_to_csv(sheet, { FS: ';' }));
+  }
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, nomeBase.slice(0, 31));
+  res.attachment(`${nomeBase}.xlsx`);
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.send(XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }));
+}
+
+// Paginação e ordenação das listas (?pagina=&tamanho=&ordem=&dir=). `colunas` mapeia o nome
+// aceito na URL para a expressão SQL: a ordenação nunca vem crua da query string.
+const TAMANHOS_PAGINA = [10, 25, 50, 100];
+
+function lerPaginacao(query, colunas, ordemPadrao, dirPadrao = 'asc') {
+  const tamanho = TAMANHOS_PAGINA.includes(parseInt(query.tamanho, 10)) ? parseInt(query.tamanho, 10) : TAMANHOS_PAGINA[1];
+  const ordem = Object.prototype.hasOwnProperty.call(colunas, query.ordem) ? query.ordem : ordemPadrao;
+  const dir = query.dir === 'asc' || query.dir === 'desc' ? query.dir : dirPadrao;
+  return {
+    pagina: Math.max(parseInt(query.pagina, 10) || 1, 1),
+    tamanho,
+    ordem,
+    dir,
+    orderSql: `${colunas[ordem]} ${dir.toUpperCase()} NULLS LAST`
+  };
+}
+
+// Completa a paginação com o total e monta os links da view mantendo filtros e ordem,
+// para que qualquer página filtrada tenha uma URL estável (favoritos, compartilhar).
+// Página além do fim cai na última.
+function montarPaginacao(caminho, filtros, pag, total) {
+  const totalPaginas = Math.max(Math.ceil(total / pag.tamanho), 1);
+  const pagina = Math.min(pag.pagina, totalPaginas);
+  const estado = { ...filtros, ordem: pag.ordem, dir: pag.dir, tamanho: pag.tamanho, pagina };
+  const url = (alteracoes = {}) => {
+    const params = new URLSearchParams(
+      Object.entries({ ...estado, ...alteracoes }).filter(([, v]) => v !== '' && v !== null && v !== undefined)
+    );
+    return `${caminho}?${params}`;
+  };
+  return {
+    caminho,
+    pagina,
+    tamanho: pag.tamanho,
+    ordem: pag.ordem,
+    dir: pag.dir,
+    total,
+    totalPaginas,
+    offset: (pagina - 1) * pag.tamanho,
+    tamanhos: TAMANHOS_PAGINA,
+    filtros,
+    url,
+    // clicar de novo na coluna já ordenada inverte a direção
+    urlOrdem: coluna => url({ ordem: coluna, dir: pag.ordem === coluna && pag.dir === 'asc' ? 'desc' : 'asc', pagina: 1 }),
+    seta: coluna => (pag.ordem === coluna ? (pag.dir === 'asc' ? ' ▲' : ' ▼') : '')
+  };
+}
+
+// Resolve um código bipado/digitado: o código interno do produto ou qualquer código externo cadastrado.
+// Produtos arquivados também são encontrados (o código continua sendo deles); quem vende checa arquivado_em.
+async function buscarProdutoPorCodigo(db, codigo) {
+  const { rows } = await db.query(
+    `SELECT p.id, p.nome, p.barcode, p.valor_venda, p.valor_unitario, p.estoque_minimo, p.etiquetas_impressas,
+            p.arquivado_em, e.quantidade AS estoque, ${SQL_PRECO_PROGRAMADO} AS preco_programado
+     FROM produtos p
+     LEFT JOIN estoque e ON p.id = e.id_produto
+     WHERE p.barcode = $1
+        OR p.id = (SELECT c.id_produto FROM produtos_codigos c WHERE c.codigo = $1)`,
+    [String(codigo || '').trim()]
+  );
+  return rows[0] || null;
+}
+
+// Códigos externos vindos do formulário: um por linha (aceita também vírgula/espaço)
+function lerCodigosExternos(texto) {
+  return [...new Set(String(texto || '').split(/[\s,;]+/).filter(Boolean))];
+}
+
+// Substitui os códigos externos (de fabricante) do produto. Valida o dígito verificador e a
+// unicidade contra códigos internos e externos dos outros produtos. Roda dentro da transação.
+async function salvarCodigosExternos(db, id_produto, codigos) {
+  await db.query('LOCK TABLE produtos_codigos IN SHARE ROW EXCLUSIVE MODE');
+  const novos = [];
+  for (const codigo of codigos) {
+    const dono = await buscarProdutoPorCodigo(db, codigo);
+    if (dono && dono.id === Number(id_produto) && dono.barcode === codigo) continue; // o próprio código interno
+    if (!gtinValido(codigo)) {
+      throw new Error(`Código de barras ${codigo} inválido: use EAN-8, UPC-A, EAN-13 ou GTIN-14 com dígito verificador.`);
+    }
+    if (codigo.length === 13 && codigo.startsWith(PREFIXO_EAN_INTERNO)) {
+      throw new Error(`Código de barras ${codigo} está na faixa reservada aos códigos internos da loja.`);
+    }
+    if (dono && dono.id !== Number(id_produto)) {
+      throw new Error(`Código de barras ${codigo} já pertence ao produto ${dono.nome}.`);
+    }
+    novos.push(codigo);
+  }
+
+  await db.query('DELETE FROM produtos_codigos WHERE id_produto = $1', [id_produto]);
+  for (const codigo of novos) {
+    await db.query('INSERT INTO produtos_codigos (id_produto, codigo) VALUES ($1, $2)', [id_produto, codigo]);
+  }
+}
+
+// Toda alteração de estoque passa por aqui: aplica a variação e grava a movimentação.
+// `db` é o client da transação em andamento (ou o pool, fora de transação).
+async function movimentarEstoque(db, { id_produto, tipo, quantidade, id_usuario = null, id_venda = null, motivo = null, id_carga = null }) {
+  let rs = await db.query(
+    `UPDATE estoque SET quantidade = COALESCE(quantidade, 0) + $1, updated_at = CURRENT_TIMESTAMP
+     WHERE id_produto = $2 RETURNING quantidade`,
+    [quantidade, id_produto]
+  );
+  if (rs.rowCount === 0) {
+    rs = await db.query(
+      'INSERT INTO estoque (id_produto, quantidade) VALUES ($1, $2) RETURNING quantidade',
+      [id_produto, quantidade]
+    );
+  }
+  const saldo = rs.rows[0].quantidade;
+
+  await db.query(
+    `INSERT INTO movimentacoes_estoque (id_produto, tipo, quantidade, saldo, id_usuario, id_venda, motivo, id_carga)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [id_produto, tipo, quantidade, saldo, id_usuario, id_venda, motivo, id_carga]
+  );
+  return saldo;
+}
+
+// Estoque mínimo (0 = sem alerta) e quantidade sugerida de reposição (opcional) vindos do formulário
+function lerNiveisEstoque(body) {
+  const minimo = parseInt(body.estoque_minimo);
+  const reposicao = parseInt(body.quantidade_reposicao);
+  return {
+    estoque_minimo: minimo > 0 ? minimo : 0,
+    quantidade_reposicao: reposicao > 0 ? reposicao : null
+  };
+}
+
+// Unidades de medida aceitas em produtos.unidade. Na carga também valem os apelidos abaixo.
+const UNIDADES_MEDIDA = {
+  UN: 'Unidade',
+  PAR: 'Par',
+  KIT: 'Kit',
+  CX: 'Caixa',
+  PCT: 'Pacote',
+  DZ: 'Dúzia',
+  KG: 'Quilograma',
+  G: 'Grama',
+  L: 'Litro',
+  ML: 'Mililitro',
+  M: 'Metro',
+  CM: 'Centímetro',
+  M2: 'Metro quadrado'
+};
+const APELIDOS_UNIDADE = {
+  UND: 'UN', UNID: 'UN', UNIDADE: 'UN', PC: 'UN', PECA: 'UN', PARES: 'PAR', CAIXA: 'CX', PACOTE: 'PCT',
+  DUZIA: 'DZ', KILO: 'KG', QUILO: 'KG', LT: 'L', LITRO: 'L', MT: 'M', METRO: 'M'
+};
+
+// 'kg', 'Kg.', 'peça', 'm²' -> código da unidade; null se não reconhecer
+function normalizarUnidade(valor) {
+  const u = String(valor || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').trim().toUpperCase().replace(/\.$/, '');
+  const unidade = APELIDOS_UNIDADE[u] || u;
+  return UNIDADES_MEDIDA[unidade] ? unidade : null;
+}
+
+// Categorias de produtos em árvore, com o caminho completo ("Roupas › Infantil"); usar como prefixo da consulta
+const SQL_ARVORE_CATEGORIAS = `
+  WITH RECURSIVE arvore AS (
+    SELECT id, nome, id_pai, nome::text AS caminho, 0 AS nivel FROM categorias WHERE id_pai IS NULL
+    UNION ALL
+    SELECT c.id, c.nome, c.id_pai, a.caminho || ' › ' || c.nome, a.nivel + 1
+    FROM categorias c JOIN arvore a ON c.id_pai = a.id
+  )`;
+
+async function carregarCategorias(db) {
+  const { rows } = await db.query(`${SQL_ARVORE_CATEGORIAS}
+    SELECT a.*, (SELECT COUNT(*)::int FROM produtos p WHERE p.id_categoria = a.id AND p.arquivado_em IS NULL) AS produtos
+    FROM arvore a
+    ORDER BY a.caminho`);
+  return rows;
+}
+
+// Condição SQL "coluna é a categoria $n ou uma das suas subcategorias"
+function sqlCategoriaOuSubcategorias(coluna, n) {
+  return `${coluna} IN (
+    WITH RECURSIVE sub AS (
+      SELECT id FROM categorias WHERE id = $${n}
+      UNION ALL
+      SELECT c.id FROM categorias c JOIN sub ON c.id_pai = sub.id
+    )
+    SELECT id FROM sub)`;
+}
+
+// "Roupas > Infantil" (como vem da planilha) -> ['Roupas', 'Infantil']
+function partesCaminhoCategoria(texto) {
+  return String(texto || '').split(/[>›]/).map(p => p.trim().replace(/\s+/g, ' ')).filter(Boolean);
+}
+
+// Id da categoria pelo caminho, criando os níveis que faltarem (usado na carga)
+async function obterOuCriarCategoria(db, partes) {
+  let idPai = null;
+  for (const nome of partes) {
+    const { rows } = await db.query(
+      'SELECT id FROM categorias WHERE COALESCE(id_pai, 0) = COALESCE($1::int, 0) AND lower(nome) = lower($2)',
+      [idPai, nome]
+    );
+    idPai = rows.length
+      ? rows[0].id
+      : (await db.query('INSERT INTO categorias (nome, id_pai) VALUES ($1, $2) RETURNING id', [nome, idPai])).rows[0].id;
+  }
+  return idPai;
+}
+
+// id_categoria vindo de um <select>: vazio = sem categoria
+const lerIdCategoria = valor => parseInt(valor, 10) || null;
+
+// --------- Permissões ---------
+// Cada ação do sistema tem uma permissão nomeada; os papéis (tabela papeis) agrupam permissões e
+// usuarios.role guarda o código do papel. O papel 'admin' é fixo e tem todas.
+const PERMISSOES = {
+  'Produtos': {
+    'produtos.ver': 'Ver produtos, preços e movimentações de estoque',
+    'produtos.cadastrar': 'Cadastrar produtos',
+    'produtos.editar': 'Editar dados dos produtos',
+    'produtos.editar_preco': 'Alterar custo e preço de venda e programar preços',
+    'estoque.ajustar': 'Ajustar a quantidade em estoque',
+    'produtos.arquivar': 'Arquivar e restaurar produtos',
+    'produtos.excluir': 'Excluir produtos arquivados',
+    'etiquetas.imprimir': 'Imprimir etiquetas',
+    'categorias.gerenciar': 'Gerenciar categorias'
+  },
+  'Clientes': {
+    'clientes.ver': 'Ver clientes',
+    'clientes.editar': 'Cadastrar e editar clientes',
+    'clientes.arquivar': 'Arquivar e restaurar clientes',
+    'clientes.excluir': 'Excluir clientes arquivados'
+  },
+  'Vendas': {
+    'vendas.ver': 'Consultar vendas e reimprimir recibos',
+    'vendas.criar': 'Registrar vendas',
+    'vendas.reverter': 'Cancelar vendas',
+    'vendas.devolver': 'Registrar devoluções e trocas'
+  },
+  'Caixa': {
+    'caixa.operar': 'Abrir, movimentar e fechar o próprio caixa',
+    'caixa.todos': 'Ver os caixas de todos os usuários'
+  },
+  'Carga de produtos': {
+    'carga.importar': 'Importar planilhas de produtos',
+    'carga.desfazer': 'Desfazer cargas',
+    'carga.todos': 'Ver e desfazer as cargas de todos os usuários'
+  },
+  'Relatórios': {
+    'relatorios.ver': 'Emitir relatórios das próprias vendas e do estoque',
+    'relatorios.todos': 'Ver as vendas de todos os usuários (relatórios e painel)'
+  },
+  'Administração': {
+    'usuarios.gerenciar': 'Gerenciar usuários e papéis',
+    'auditoria.ver': 'Consultar a auditoria'
   }
-  return s.padStart(12, '0').slice(-12);
+};
+const TODAS_PERMISSOES = Object.values(PERMISSOES).flatMap(Object.keys);
+
+const PAPEL_ADMIN = {
+  codigo: 'admin', nome: 'Administrador', descricao: 'Acesso total', permissoes: TODAS_PERMISSOES, desconto_maximo: 100, sistema: true
+};
+
+// Papel 'user' enquanto ninguém o editar (bancos de antes dos papéis não têm a linha dele):
+// o dia a dia de loja, sem mexer em preço, excluir, cancelar venda ou importar planilha
+const PAPEL_USUARIO_PADRAO = {
+  codigo: 'user',
+  nome: 'Usuário',
+  descricao: 'Papel padrão de novos usuários',
+  permissoes: [
+    'produtos.ver', 'produtos.cadastrar', 'produtos.editar', 'estoque.ajustar', 'etiquetas.imprimir',
+    'clientes.ver', 'clientes.editar', 'vendas.ver', 'vendas.criar', 'vendas.devolver',
+    'caixa.operar', 'relatorios.ver'
+  ],
+  desconto_maximo: 10
+};
+
+// Todos os papéis, do admin aos cadastrados
+async function listarPapeis(db) {
+  const { rows } = await db.query('SELECT codigo, nome, descricao, permissoes, desconto_maximo::float AS desconto_maximo FROM papeis ORDER BY nome');
+  const papeis = [PAPEL_ADMIN, ...rows];
+  if (!rows.some(p => p.codigo === PAPEL_USUARIO_PADRAO.codigo)) papeis.splice(1, 0, PAPEL_USUARIO_PADRAO);
+  return papeis;
 }
 
-// Deixa o usuário atual disponível nas views
-app.use((req, res, next) => {
-  res.locals.usuario = req.session?.usuario || null; // {id, nome, email, role}
-  next();
+// Permissões e desconto máximo (%) por código de papel, em memória; limpo sempre que um papel muda.
+// Papel desconhecido não pode nada nem dar desconto.
+const cachePermissoes = new Map();
+
+async function permissoesDoPapel(codigo) {
+  if (codigo === PAPEL_ADMIN.codigo) return { permissoes: new Set(TODAS_PERMISSOES), descontoMaximo: PAPEL_ADMIN.desconto_maximo };
+  if (!cachePermissoes.has(codigo)) {
+    const { rows } = await pool.query('SELECT permissoes, desconto_maximo::float AS desconto_maximo FROM papeis WHERE codigo = $1', [codigo]);
+    const papel = rows[0] || (codigo === PAPEL_USUARIO_PADRAO.codigo ? PAPEL_USUARIO_PADRAO : { permissoes: [], desconto_maximo: 0 });
+    cachePermissoes.set(codigo, { permissoes: new Set(papel.permissoes), descontoMaximo: Number(papel.desconto_maximo) });
+  }
+  return cachePermissoes.get(codigo);
+}
+
+const pode = (req, permissao) => !!req.permissoes?.has(permissao);
+
+// Deixa o usuário atual e as permissões dele disponíveis nas rotas e views
+app.use(async (req, res, next) => {
+  try {
+    res.locals.usuario = req.session?.usuario || null; // {id, nome, email, role}
+    const papel = res.locals.usuario ? await permissoesDoPapel(res.locals.usuario.role) : { permissoes: new Set(), descontoMaximo: 0 };
+    req.permissoes = papel.permissoes;
+    req.descontoMaximo = papel.descontoMaximo;
+    res.locals.pode = permissao => pode(req, permissao);
+    next();
+  } catch (err) {
+    next(err);
+  }
 });
 
 // Middleware para proteger rotas
 function requireAuth(req, res, next) {
-  if (req.session && req.session.usuario) return next();
+  if (req.session && req.session.usuario) {
+    // senha temporária (definida por um admin): só o perfil fica liberado até a troca
+    if (req.session.usuario.trocarSenha && !['/perfil', '/perfil/senha', '/logout'].includes(req.path)) {
+      return res.redirect('/perfil?err=' + encodeURIComponent('Defina uma nova senha para continuar.'));
+    }
+    // 2FA exigido pelo admin e ainda não configurado: idem, até ativar em /perfil/2fa
+    if (req.session.usuario.configurar2fa && !['/perfil', '/perfil/senha', '/perfil/2fa', '/perfil/2fa/ativar', '/logout'].includes(req.path)) {
+      return res.redirect('/perfil/2fa?err=' + encodeURIComponent('Ative a verificação em duas etapas para continuar.'));
+    }
+    return next();
+  }
   return res.redirect('/login?next=' + encodeURIComponent(req.originalUrl || '/'));
 }
 
-// Middleware para permitir somente admin (se quiser usar em alguma rota)
-function requireAdmin(req, res, next) {
-  if (req.session?.usuario?.role === 'admin') return next();
-  return res.status(403).send('Acesso negado: requer perfil administrador.');
+// Libera a rota para quem tem ao menos uma das permissões (usar depois do requireAuth)
+function requirePermissao(...permissoes) {
+  return (req, res, next) => {
+    if (permissoes.some(p => pode(req, p))) return next();
+    const error = 'Acesso negado: seu papel não tem permissão para esta ação.';
+    res.status(403).format({
+      html: () => res.send(error),
+      json: () => res.json({ error })
+    });
+  };
+}
+
+// --------- Auditoria ---------
+// Trilha de quem criou, alterou, excluiu ou cancelou o quê. Nas rotas com transação recebe o
+// client dela: o registro só fica gravado se a alteração também ficar.
+const ENTIDADES_AUDITORIA = {
+  PRODUTO: 'Produto',
+  ESTOQUE: 'Estoque',
+  CATEGORIA: 'Categoria',
+  CLIENTE: 'Cliente',
+  VENDA: 'Venda',
+  CAIXA: 'Caixa',
+  CARGA: 'Carga de produtos',
+  USUARIO: 'Usuário',
+  PAPEL: 'Papel'
+};
+
+const ACOES_AUDITORIA = {
+  CRIAR: 'Criação',
+  EDITAR: 'Edição',
+  EXCLUIR: 'Exclusão',
+  ARQUIVAR: 'Arquivamento',
+  RESTAURAR: 'Restauração',
+  AJUSTAR: 'Ajuste',
+  PROGRAMAR_PRECO: 'Preço programado',
+  CANCELAR_PRECO: 'Preço programado cancelado',
+  CANCELAR: 'Cancelamento',
+  DEVOLVER: 'Devolução',
+  ATIVAR: 'Ativação',
+  DESATIVAR: 'Desativação',
+  SENHA_TEMPORARIA: 'Senha temporária',
+  REDEFINIR_SENHA: 'Senha redefinida por e-mail',
+  ATIVAR_2FA: '2FA ativado',
+  DESATIVAR_2FA: '2FA desativado',
+  NOVOS_CODIGOS_2FA: 'Novos códigos de recuperação',
+  RESETAR_2FA: '2FA redefinido',
+  EXIGIR_2FA: 'Exigência de 2FA',
+  ABRIR: 'Abertura',
+  MOVIMENTAR: 'Movimentação',
+  FECHAR: 'Fechamento',
+  IMPORTAR: 'Importação',
+  DESFAZER: 'Desfeita'
+};
+
+// Com antes e depois, grava só os campos que mudaram (e nada, se nenhum mudou)
+function camposAlterados(antes, depois) {
+  const a = {};
+  const d = {};
+  for (const campo of new Set([...Object.keys(antes), ...Object.keys(depois)])) {
+    if (JSON.stringify(antes[campo] ?? null) !== JSON.stringify(depois[campo] ?? null)) {
+      a[campo] = antes[campo] ?? null;
+      d[campo] = depois[campo] ?? null;
+    }
+  }
+  return Object.keys(a).length ? { antes: a, depois: d } : null;
+}
+
+async function registrarAuditoria(db, req, { entidade, id_entidade = null, acao, antes = null, depois = null }) {
+  if (antes && depois) {
+    const diff = camposAlterados(antes, depois);
+    if (!diff) return;
+    ({ antes, depois } = diff);
+  }
+  const usuario = req.session?.usuario || {};
+  await db.query(
+    `INSERT INTO auditoria (id_usuario, usuario_nome, ip, entidade, id_entidade, acao, antes, depois)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [usuario.id || null, usuario.nome || null, req.ip || null, entidade, id_entidade, acao,
+      antes && JSON.stringify(antes), depois && JSON.stringify(depois)]
+  );
+}
+
+// Estado do produto para a auditoria (o estoque tem registro próprio)
+async function fotoProduto(db, id) {
+  const { rows } = await db.query(
+    `SELECT p.nome, p.barcode, p.valor_unitario, p.valor_venda, p.descricao, p.unidade, p.id_categoria,
+            p.estoque_minimo, p.quantidade_reposicao, p.arquivado_em,
+            ARRAY(SELECT c.codigo FROM produtos_codigos c WHERE c.id_produto = p.id ORDER BY c.codigo) AS codigos_externos
+     FROM produtos p
+     WHERE p.id = $1`,
+    [id]
+  );
+  return rows[0] || null;
+}
+
+async function fotoCliente(db, id) {
+  const { rows } = await db.query(
+    'SELECT nome, cpf, email, telefone, endereco, arquivado_em FROM clientes WHERE id = $1',
+    [id]
+  );
+  return rows[0] || null;
 }
 
 // ======== Rotas de Autenticação ========
@@ -162,6 +623,10 @@ app.post('/setup-admin', async (req, res) => {
       [nome, email.toLowerCase(), hash, 'admin']
     );
     req.session.usuario = insert.rows[0];
+    await registrarAuditoria(pool, req, {
+      entidade: 'USUARIO', id_entidade: insert.rows[0].id, acao: 'CRIAR',
+      depois: { nome: insert.rows[0].nome, email: insert.rows[0].email, role: 'admin' }
+    });
     res.redirect('/');
   } catch (err) {
     console.error(err);
@@ -169,284 +634,1716 @@ app.post('/setup-admin', async (req, res) => {
   }
 });
 
-// --------- Usuários (somente admin) ---------
-app.get('/usuarios/novo', requireAuth, requireAdmin, (req, res) => {
-  res.render('usuarios-novo', { error: '' });
-});
-
-app.post('/usuarios/novo', requireAuth, requireAdmin, async (req, res) => {
-  try {
-    const { nome, email, senha, role } = req.body;
+// --------- Usuários e papéis ---------
+// Encerra as sessões abertas do usuário (tabela do connect-pg-simple): desativação, troca de
+// papel e senha temporária valem na hora, sem esperar o usuário sair
+async function encerrarSessoes(db, id_usuario) {
+  await db.query(`DELETE FROM session WHERE (sess->'usuario'->>'id')::int = $1`, [id_usuario]);
+}
 
-    if (!nome || !email || !senha) {
-      return res.render('usuarios-novo', { error: 'Preencha todos os campos.' });
-    }
+// Sempre sobra ao menos um administrador ativo. Roda na transação; o lock serializa
+// duas alterações simultâneas que, juntas, tirariam o último admin.
+async function garantirOutroAdmin(db, id_usuario) {
+  await db.query('LOCK TABLE usuarios IN SHARE ROW EXCLUSIVE MODE');
+  const { rowCount } = await db.query(
+    `SELECT 1 FROM usuarios WHERE role = 'admin' AND ativo AND id <> $1`,
+    [id_usuario]
+  );
+  if (!rowCount) throw new Error('É preciso manter ao menos um administrador ativo.');
+}
 
-    const hash = await bcrypt.hash(senha, 12);
+async function emailEmUso(db, email, idAtual = null) {
+  const { rowCount } = await db.query(
+    'SELECT 1 FROM usuarios WHERE email = $1 AND ($2::int IS NULL OR id <> $2)',
+    [email, idAtual]
+  );
+  return rowCount > 0;
+}
 
-    await pool.query(
-      'INSERT INTO usuarios (nome, email, senha_hash, role) VALUES ($1, $2, $3, $4)',
-      [nome, email.toLowerCase(), hash, role || 'user']
+app.get('/usuarios', requireAuth, requirePermissao('usuarios.gerenciar'), async (req, res) => {
+  try {
+    const { rows: usuarios } = await pool.query(
+      `SELECT id, nome, email, role, ativo, senha_temporaria, totp_ativo, totp_obrigatorio, ultimo_login, created_at
+       FROM usuarios
+       ORDER BY ativo DESC, nome ASC`
     );
-
-    res.redirect('/');
+    // senha temporária recém-gerada: aparece uma única vez
+    const senhaTemporaria = req.session.senhaTemporaria || null;
+    delete req.session.senhaTemporaria;
+    res.render('usuarios', {
+      usuarios,
+      papeis: await listarPapeis(pool),
+      senhaTemporaria,
+      msg: req.query.msg || '',
+      err: req.query.err || ''
+    });
   } catch (err) {
     console.error(err);
-    res.render('usuarios-novo', { error: 'Erro ao criar usuário: ' + err.message });
+    res.status(500).send('Erro ao listar usuários');
   }
 });
 
-
-// ======== Perfil do usuário (autogerenciado) ========
-
-// pequeno limitador p/ trocas sensíveis
-const perfilLimiter = rateLimit({
-  windowMs: 10 * 60 * 1000, // 10 min
-  max: 60
-});
-
-// utilitário rápido
-async function getUserById(id) {
-  const { rows } = await pool.query(
-    'SELECT id, nome, email, senha_hash, role FROM usuarios WHERE id = $1',
-    [id]
-  );
-  return rows[0] || null;
-}
-
-// Tela de perfil
-app.get('/perfil', requireAuth, async (req, res) => {
-  res.render('perfil', {
-    usuario: req.session.usuario,
-    msg: req.query.msg || '',
-    err: req.query.err || ''
-  });
+app.get('/usuarios/novo', requireAuth, requirePermissao('usuarios.gerenciar'), async (req, res) => {
+  try {
+    res.render('usuarios-novo', { error: '', papeis: await listarPapeis(pool) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Erro ao carregar papéis');
+  }
 });
 
-// Atualizar e-mail (exige senha atual)
-app.post('/perfil/email', requireAuth, perfilLimiter, async (req, res) => {
+app.post('/usuarios/novo', requireAuth, requirePermissao('usuarios.gerenciar'), async (req, res) => {
+  let papeis = [];
   try {
-    const { email, senha_atual } = req.body;
-    if (!email || !senha_atual) {
-      return res.redirect('/perfil?err=' + encodeURIComponent('Preencha e-mail e senha atual.'));
-    }
-
-    const user = await getUserById(req.session.usuario.id);
-    if (!user) return res.redirect('/logout');
+    const { nome, email, senha } = req.body;
+    papeis = await listarPapeis(pool);
+    const role = papeis.some(p => p.codigo === req.body.role) ? req.body.role : PAPEL_USUARIO_PADRAO.codigo;
 
-    const ok = await bcrypt.compare(senha_atual, user.senha_hash);
-    if (!ok) {
-      return res.redirect('/perfil?err=' + encodeURIComponent('Senha atual incorreta.'));
+    if (!nome || !email || !senha) {
+      return res.render('usuarios-novo', { error: 'Preencha todos os campos.', papeis });
     }
-
-    // checa se e-mail já está em uso por outro usuário
-    const { rows: exists } = await pool.query(
-      'SELECT 1 FROM usuarios WHERE email = $1 AND id <> $2',
-      [email.toLowerCase(), user.id]
-    );
-    if (exists.length > 0) {
-      return res.redirect('/perfil?err=' + encodeURIComponent('E-mail já está em uso por outro usuário.'));
+    if (await emailEmUso(pool, email.toLowerCase())) {
+      return res.render('usuarios-novo', { error: 'E-mail já está em uso por outro usuário.', papeis });
     }
 
-    await pool.query(
-      'UPDATE usuarios SET email = $1, updated_at = NOW() WHERE id = $2',
-      [email.toLowerCase(), user.id]
-    );
+    const hash = await bcrypt.hash(senha, 12);
 
-    // atualiza sessão
-    req.session.usuario.email = email.toLowerCase();
+    const { rows: [novo] } = await pool.query(
+      'INSERT INTO usuarios (nome, email, senha_hash, role) VALUES ($1, $2, $3, $4) RETURNING id, nome, email, role',
+      [nome, email.toLowerCase(), hash, role]
+    );
+    await registrarAuditoria(pool, req, {
+      entidade: 'USUARIO', id_entidade: novo.id, acao: 'CRIAR',
+      depois: { nome: novo.nome, email: novo.email, role: novo.role }
+    });
 
-    return res.redirect('/perfil?msg=' + encodeURIComponent('E-mail atualizado com sucesso.'));
-  } catch (e) {
-    console.error(e);
-    return res.redirect('/perfil?err=' + encodeURIComponent('Erro ao atualizar e-mail.'));
+    res.redirect('/usuarios?msg=' + encodeURIComponent(`Usuário ${novo.nome} criado.`));
+  } catch (err) {
+    console.error(err);
+    res.render('usuarios-novo', { error: 'Erro ao criar usuário: ' + err.message, papeis });
   }
 });
 
-// Atualizar senha (exige senha atual + confirmação)
-app.post('/perfil/senha', requireAuth, perfilLimiter, async (req, res) => {
+app.post('/usuarios/:id/editar', requireAuth, requirePermissao('usuarios.gerenciar'), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const nome = (req.body.nome || '').trim();
+  const email = (req.body.email || '').trim().toLowerCase();
+  const role = req.body.role;
+  const client = await pool.connect();
   try {
-    const { senha_atual, nova_senha, confirmar_senha } = req.body;
-    if (!senha_atual || !nova_senha || !confirmar_senha) {
-      return res.redirect('/perfil?err=' + encodeURIComponent('Preencha todos os campos de senha.'));
-    }
-    if (nova_senha.length < 6) {
-      return res.redirect('/perfil?err=' + encodeURIComponent('A nova senha deve ter ao menos 6 caracteres.'));
-    }
-    if (nova_senha !== confirmar_senha) {
-      return res.redirect('/perfil?err=' + encodeURIComponent('A confirmação não coincide com a nova senha.'));
-    }
-
-    const user = await getUserById(req.session.usuario.id);
-    if (!user) return res.redirect('/logout');
-
-    const ok = await bcrypt.compare(senha_atual, user.senha_hash);
-    if (!ok) {
-      return res.redirect('/perfil?err=' + encodeURIComponent('Senha atual incorreta.'));
-    }
+    if (!nome || !email) throw new Error('Preencha nome e e-mail.');
+    if (!(await listarPapeis(client)).some(p => p.codigo === role)) throw new Error('Papel inválido.');
 
-    const hash = await bcrypt.hash(nova_senha, 12);
-    await pool.query(
-      'UPDATE usuarios SET senha_hash = $1, updated_at = NOW() WHERE id = $2',
-      [hash, user.id]
+    await client.query('BEGIN');
+    const { rows: [antes] } = await client.query('SELECT nome, email, role FROM usuarios WHERE id = $1 FOR UPDATE', [id]);
+    if (!antes) throw new Error('Usuário não encontrado.');
+    if (await emailEmUso(client, email, id)) throw new Error('E-mail já está em uso por outro usuário.');
+    if (antes.role === 'admin' && role !== 'admin') await garantirOutroAdmin(client, id);
+
+    await client.query(
+      'UPDATE usuarios SET nome = $1, email = $2, role = $3, updated_at = NOW() WHERE id = $4',
+      [nome, email, role, id]
     );
-
-    return res.redirect('/perfil?msg=' + encodeURIComponent('Senha atualizada com sucesso.'));
-  } catch (e) {
-    console.error(e);
-    return res.redirect('/perfil?err=' + encodeURIComponent('Erro ao atualizar senha.'));
+    await registrarAuditoria(client, req, { entidade: 'USUARIO', id_entidade: id, acao: 'EDITAR', antes, depois: { nome, email, role } });
+    if (id === req.session.usuario.id) {
+      Object.assign(req.session.usuario, { nome, email, role });
+    } else if (antes.role !== role) {
+      await encerrarSessoes(client, id);
+    }
+    await client.query('COMMIT');
+    res.redirect('/usuarios?msg=' + encodeURIComponent('Usuário atualizado.'));
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error(err);
+    res.redirect('/usuarios?err=' + encodeURIComponent(err.message));
+  } finally {
+    client.release();
   }
 });
 
-
-// Login
-app.get('/login', (req, res) => {
-  if (req.session?.usuario) return res.redirect('/');
-  res.render('login', { error: '', nextUrl: req.query.next || '' });
+// Desativado não entra mais (POST /login recusa) e perde as sessões abertas; vendas e
+// registros antigos continuam com o nome dele
+app.post('/usuarios/:id/desativar', requireAuth, requirePermissao('usuarios.gerenciar'), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const client = await pool.connect();
+  try {
+    if (id === req.session.usuario.id) throw new Error('Você não pode desativar a própria conta.');
+    await client.query('BEGIN');
+    const { rows: [usuario] } = await client.query('SELECT nome, role, ativo FROM usuarios WHERE id = $1 FOR UPDATE', [id]);
+    if (!usuario) throw new Error('Usuário não encontrado.');
+    if (!usuario.ativo) throw new Error(`${usuario.nome} já está desativado.`);
+    if (usuario.role === 'admin') await garantirOutroAdmin(client, id);
+
+    await client.query('UPDATE usuarios SET ativo = false, updated_at = NOW() WHERE id = $1', [id]);
+    await encerrarSessoes(client, id);
+    await registrarAuditoria(client, req, {
+      entidade: 'USUARIO', id_entidade: id, acao: 'DESATIVAR', antes: { ativo: true }, depois: { ativo: false }
+    });
+    await client.query('COMMIT');
+    res.redirect('/usuarios?msg=' + encodeURIComponent(`${usuario.nome} desativado.`));
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error(err);
+    res.redirect('/usuarios?err=' + encodeURIComponent(err.message));
+  } finally {
+    client.release();
+  }
 });
 
-app.post('/login', authLimiter, async (req, res) => {
+app.post('/usuarios/:id/ativar', requireAuth, requirePermissao('usuarios.gerenciar'), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
   try {
-    const { email, senha, nextUrl } = req.body;
-    if (!email || !senha) {
-      return res.render('login', { error: 'Informe e-mail e senha.', nextUrl: nextUrl || '' });
-    }
-    const { rows } = await pool.query(
-      'SELECT id, nome, email, senha_hash, role FROM usuarios WHERE email = $1',
-      [email.toLowerCase()]
+    const { rows: [usuario] } = await pool.query(
+      'UPDATE usuarios SET ativo = true, updated_at = NOW() WHERE id = $1 AND NOT ativo RETURNING nome',
+      [id]
     );
-    if (rows.length === 0) {
-      return res.render('login', { error: 'Usuário ou senha inválidos.', nextUrl: nextUrl || '' });
-    }
-    const user = rows[0];
-    const ok = await bcrypt.compare(senha, user.senha_hash);
-    if (!ok) {
-      return res.render('login', { error: 'Usuário ou senha inválidos.', nextUrl: nextUrl || '' });
-    }
-    // salva na sessão (sem hash)
-    req.session.usuario = { id: user.id, nome: user.nome, email: user.email, role: user.role };
-    res.redirect(nextUrl || '/');
+    if (!usuario) throw new Error('Usuário não encontrado ou já ativo.');
+    await registrarAuditoria(pool, req, {
+      entidade: 'USUARIO', id_entidade: id, acao: 'ATIVAR', antes: { ativo: false }, depois: { ativo: true }
+    });
+    res.redirect('/usuarios?msg=' + encodeURIComponent(`${usuario.nome} reativado.`));
   } catch (err) {
     console.error(err);
-    res.render('login', { error: 'Erro ao autenticar: ' + err.message, nextUrl: req.body.nextUrl || '' });
+    res.redirect('/usuarios?err=' + encodeURIComponent(err.message));
   }
 });
 
-// Logout
-app.get('/logout', (req, res) => {
-  req.session.destroy(() => {
-    res.redirect('/login');
-  });
-});
-
-// ======== A partir daqui, tudo protegido ========
+// Senha temporária para quem esqueceu a sua: mostrada uma vez ao admin, obriga a troca em
+// /perfil/senha no próximo login
+app.post('/usuarios/:id/senha-temporaria', requireAuth, requirePermissao('usuarios.gerenciar'), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const client = await pool.connect();
+  try {
+    if (id === req.session.usuario.id) throw new Error('Para a sua própria senha, use Meu Perfil.');
+    const senha = crypto.randomBytes(9).toString('base64url');
+    const hash = await bcrypt.hash(senha, 12);
 
-// Rota inicial (protegida)
-app.get('/', requireAuth, (req, res) => {
-  res.render('index'); // sua página principal já existente
-});
+    await client.query('BEGIN');
+    const { rows: [usuario] } = await client.query(
+      'UPDATE usuarios SET senha_hash = $1, senha_temporaria = true, updated_at = NOW() WHERE id = $2 RETURNING nome',
+      [hash, id]
+    );
+    if (!usuario) throw new Error('Usuário não encontrado.');
+    await encerrarSessoes(client, id);
+    await registrarAuditoria(client, req, { entidade: 'USUARIO', id_entidade: id, acao: 'SENHA_TEMPORARIA', depois: { senha: 'temporária gerada' } });
+    await client.query('COMMIT');
 
-// --------- Produtos ---------
-app.get('/produtos', requireAuth, async (req, res) => {
-  try {
-    const result = await pool.query(`
-      SELECT p.id, p.nome, p.barcode, p.valor_unitario, p.valor_venda, p.descricao, e.quantidade, p.etiquetas_impressas
-      FROM produtos p
-      LEFT JOIN estoque e ON p.id = e.id_produto
-      ORDER BY p.nome ASC
-    `);
-    res.render('produtos', { produtos: result.rows });
+    req.session.senhaTemporaria = { id, nome: usuario.nome, senha };
+    res.redirect('/usuarios');
   } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
     console.error(err);
-    res.status(500).send('Erro ao listar produtos');
+    res.redirect('/usuarios?err=' + encodeURIComponent(err.message));
+  } finally {
+    client.release();
   }
 });
 
-app.post('/produtos', requireAuth, async (req, res) => {
-  const { nome,  valor_unitario, valor_venda, descricao, quantidade } = req.body;
+// 2FA de quem perdeu o celular e os códigos de recuperação: apaga a configuração e derruba as
+// sessões; se o 2FA for obrigatório, ele configura de novo no próximo login
+app.post('/usuarios/:id/2fa/resetar', requireAuth, requirePermissao('usuarios.gerenciar'), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const client = await pool.connect();
   try {
-    await pool.query('BEGIN');
-
-    const produtoResult = await pool.query(
-      'INSERT INTO produtos (nome, barcode, valor_unitario, valor_venda, descricao) VALUES ($1, $2, $3, $4, $5) RETURNING id',
-      [nome, null, valor_unitario, valor_venda || null, descricao || null]
+    if (id === req.session.usuario.id) throw new Error('Para o seu próprio 2FA, use Meu Perfil.');
+    await client.query('BEGIN');
+    const { rows: [usuario] } = await client.query(
+      `UPDATE usuarios SET totp_ativo = false, totp_segredo = NULL, totp_ultimo_passo = NULL, totp_recuperacao = NULL, updated_at = NOW()
+       WHERE id = $1 AND totp_ativo RETURNING nome`,
+      [id]
+    );
+    if (!usuario) throw new Error('Usuário não encontrado ou sem 2FA ativo.');
+    await encerrarSessoes(client, id);
+    await registrarAuditoria(client, req, {
+      entidade: 'USUARIO', id_entidade: id, acao: 'RESETAR_2FA', antes: { totp_ativo: true }, depois: { totp_ativo: false }
+    });
+    await client.query('COMMIT');
+    res.redirect('/usuarios?msg=' + encodeURIComponent(`2FA de ${usuario.nome} redefinido.`));
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error(err);
+    res.redirect('/usuarios?err=' + encodeURIComponent(err.message));
+  } finally {
+    client.release();
+  }
+});
+
+// Liga/desliga a exigência de 2FA. Ao exigir de quem ainda não tem, as sessões dele caem para que
+// a configuração seja feita já no próximo login
+app.post('/usuarios/:id/2fa/exigir', requireAuth, requirePermissao('usuarios.gerenciar'), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const obrigatorio = req.body.obrigatorio === '1';
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows: [usuario] } = await client.query(
+      `UPDATE usuarios SET totp_obrigatorio = $1, updated_at = NOW()
+       WHERE id = $2 AND totp_obrigatorio <> $1 RETURNING nome, totp_ativo`,
+      [obrigatorio, id]
+    );
+    if (!usuario) throw new Error('Usuário não encontrado ou já nessa situação.');
+    if (obrigatorio && !usuario.totp_ativo) {
+      if (id === req.session.usuario.id) req.session.usuario.configurar2fa = true;
+      else await encerrarSessoes(client, id);
+    }
+    if (!obrigatorio && id === req.session.usuario.id) delete req.session.usuario.configurar2fa;
+    await registrarAuditoria(client, req, {
+      entidade: 'USUARIO', id_entidade: id, acao: 'EXIGIR_2FA',
+      antes: { totp_obrigatorio: !obrigatorio }, depois: { totp_obrigatorio: obrigatorio }
+    });
+    await client.query('COMMIT');
+    res.redirect('/usuarios?msg=' + encodeURIComponent(
+      obrigatorio ? `2FA agora é obrigatório para ${usuario.nome}.` : `2FA deixou de ser obrigatório para ${usuario.nome}.`
+    ));
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error(err);
+    res.redirect('/usuarios?err=' + encodeURIComponent(err.message));
+  } finally {
+    client.release();
+  }
+});
+
+// Papéis: o código vem do nome na criação e não muda mais (é o que usuarios.role guarda)
+const codigoPapel = nome => nome.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+  .replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 20);
+
+const lerPermissoes = valor => [].concat(valor || []).filter(p => TODAS_PERMISSOES.includes(p));
+
+// Desconto máximo (%) que quem tem o papel pode dar numa venda
+function lerDescontoMaximo(valor) {
+  const desconto = Number(String(valor ?? '').replace(',', '.'));
+  if (String(valor ?? '').trim() === '' || !Number.isFinite(desconto) || desconto < 0 || desconto > 100) {
+    throw new Error('O desconto máximo deve ser um percentual entre 0 e 100.');
+  }
+  return centavos(desconto);
+}
+
+app.get('/papeis', requireAuth, requirePermissao('usuarios.gerenciar'), async (req, res) => {
+  try {
+    const { rows: contagem } = await pool.query('SELECT role, COUNT(*)::int AS total FROM usuarios GROUP BY role');
+    const usuariosPorPapel = Object.fromEntries(contagem.map(c => [c.role, c.total]));
+    res.render('papeis', {
+      papeis: await listarPapeis(pool),
+      permissoes: PERMISSOES,
+      usuariosPorPapel,
+      papelPadrao: PAPEL_USUARIO_PADRAO.codigo,
+      msg: req.query.msg || '',
+      err: req.query.err || ''
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Erro ao listar papéis');
+  }
+});
+
+app.post('/papeis', requireAuth, requirePermissao('usuarios.gerenciar'), async (req, res) => {
+  try {
+    const nome = (req.body.nome || '').trim();
+    const codigo = codigoPapel(nome);
+    if (!codigo) throw new Error('Informe o nome do papel.');
+    if ((await listarPapeis(pool)).some(p => p.codigo === codigo)) throw new Error(`Já existe um papel com o código "${codigo}".`);
+
+    const permissoes = lerPermissoes(req.body.permissoes);
+    const desconto_maximo = lerDescontoMaximo(req.body.desconto_maximo);
+    const { rows: [papel] } = await pool.query(
+      'INSERT INTO papeis (codigo, nome, descricao, permissoes, desconto_maximo) VALUES ($1, $2, $3, $4, $5) RETURNING id',
+      [codigo, nome, (req.body.descricao || '').trim() || null, permissoes, desconto_maximo]
+    );
+    cachePermissoes.delete(codigo);
+    await registrarAuditoria(pool, req, {
+      entidade: 'PAPEL', id_entidade: papel.id, acao: 'CRIAR', depois: { codigo, nome, permissoes, desconto_maximo }
+    });
+    res.redirect('/papeis?msg=' + encodeURIComponent(`Papel ${nome} criado.`));
+  } catch (err) {
+    console.error(err);
+    res.redirect('/papeis?err=' + encodeURIComponent(err.message));
+  }
+});
+
+// O papel 'user' pode não ter linha ainda (usa o padrão do código): a primeira edição a cria
+app.post('/papeis/:codigo/editar', requireAuth, requirePermissao('usuarios.gerenciar'), async (req, res) => {
+  const codigo = req.params.codigo;
+  const client = await pool.connect();
+  try {
+    if (codigo === PAPEL_ADMIN.codigo) throw new Error('O papel Administrador é fixo e tem todas as permissões.');
+    const nome = (req.body.nome || '').trim();
+    if (!nome) throw new Error('Informe o nome do papel.');
+    const permissoes = lerPermissoes(req.body.permissoes);
+    const desconto_maximo = lerDescontoMaximo(req.body.desconto_maximo);
+
+    await client.query('BEGIN');
+    const antes = (await listarPapeis(client)).find(p => p.codigo === codigo);
+    if (!antes) throw new Error('Papel não encontrado.');
+    const { rows: [papel] } = await client.query(
+      `INSERT INTO papeis (codigo, nome, descricao, permissoes, desconto_maximo) VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (codigo) DO UPDATE
+         SET nome = EXCLUDED.nome, descricao = EXCLUDED.descricao, permissoes = EXCLUDED.permissoes,
+             desconto_maximo = EXCLUDED.desconto_maximo, updated_at = NOW()
+       RETURNING id`,
+      [codigo, nome, (req.body.descricao || '').trim() || null, permissoes, desconto_maximo]
+    );
+    await registrarAuditoria(client, req, {
+      entidade: 'PAPEL', id_entidade: papel.id, acao: 'EDITAR',
+      antes: { nome: antes.nome, descricao: antes.descricao || null, permissoes: antes.permissoes, desconto_maximo: antes.desconto_maximo },
+      depois: { nome, descricao: (req.body.descricao || '').trim() || null, permissoes, desconto_maximo }
+    });
+    await client.query('COMMIT');
+    // Vale já no próximo clique de quem tem o papel
+    cachePermissoes.delete(codigo);
+    res.redirect('/papeis?msg=' + encodeURIComponent(`Papel ${nome} atualizado.`));
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error(err);
+    res.redirect('/papeis?err=' + encodeURIComponent(err.message));
+  } finally {
+    client.release();
+  }
+});
+
+app.post('/papeis/:codigo/excluir', requireAuth, requirePermissao('usuarios.gerenciar'), async (req, res) => {
+  const codigo = req.params.codigo;
+  const client = await pool.connect();
+  try {
+    if (codigo === PAPEL_ADMIN.codigo || codigo === PAPEL_USUARIO_PADRAO.codigo) {
+      throw new Error('Os papéis Administrador e Usuário não podem ser excluídos.');
+    }
+    await client.query('BEGIN');
+    const { rows: [papel] } = await client.query('SELECT id, nome, permissoes FROM papeis WHERE codigo = $1 FOR UPDATE', [codigo]);
+    if (!papel) throw new Error('Papel não encontrado.');
+    const { rows: [uso] } = await client.query('SELECT COUNT(*)::int AS total FROM usuarios WHERE role = $1', [codigo]);
+    if (uso.total) throw new Error(`${papel.nome} ainda está em ${uso.total} usuário(s); troque o papel deles antes.`);
+
+    await client.query('DELETE FROM papeis WHERE id = $1', [papel.id]);
+    await registrarAuditoria(client, req, {
+      entidade: 'PAPEL', id_entidade: papel.id, acao: 'EXCLUIR', antes: { codigo, nome: papel.nome, permissoes: papel.permissoes }
+    });
+    await client.query('COMMIT');
+    cachePermissoes.delete(codigo);
+    res.redirect('/papeis?msg=' + encodeURIComponent(`Papel ${papel.nome} excluído.`));
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error(err);
+    res.redirect('/papeis?err=' + encodeURIComponent(err.message));
+  } finally {
+    client.release();
+  }
+});
+
+// --------- Consulta da auditoria ---------
+// Filtros da tela (reaproveitados na exportação): usuário, entidade (e id), ação, período e
+// texto livre nos valores antes/depois, no nome do usuário ou no IP.
+function filtroAuditoria(query) {
+  const usuario = parseInt(query.usuario, 10) || '';
+  const entidade = ENTIDADES_AUDITORIA[query.entidade] ? query.entidade : '';
+  const id_entidade = parseInt(query.id_entidade, 10) || '';
+  const acao = ACOES_AUDITORIA[query.acao] ? query.acao : '';
+  const de = /^\d{4}-\d{2}-\d{2}$/.test(query.de || '') ? query.de : '';
+  const ate = /^\d{4}-\d{2}-\d{2}$/.test(query.ate || '') ? query.ate : '';
+  const busca = (query.busca || '').trim();
+  const where = [];
+  const params = [];
+  if (usuario) {
+    params.push(usuario);
+    where.push(`a.id_usuario = $${params.length}`);
+  }
+  if (entidade) {
+    params.push(entidade);
+    where.push(`a.entidade = $${params.length}`);
+  }
+  if (id_entidade) {
+    params.push(id_entidade);
+    where.push(`a.id_entidade = $${params.length}`);
+  }
+  if (acao) {
+    params.push(acao);
+    where.push(`a.acao = $${params.length}`);
+  }
+  if (de) {
+    params.push(de);
+    where.push(`a.created_at >= $${params.length}::date`);
+  }
+  if (ate) {
+    params.push(ate);
+    where.push(`a.created_at < $${params.length}::date + 1`);
+  }
+  if (busca) {
+    params.push(`%${busca.replace(/[\\%_]/g, '\\$&')}%`);
+    where.push(`(a.antes::text ILIKE $${params.length} OR a.depois::text ILIKE $${params.length}
+      OR a.usuario_nome ILIKE $${params.length} OR a.ip ILIKE $${params.length})`);
+  }
+  return {
+    filtros: { usuario, entidade, id_entidade, acao, de, ate, busca },
+    params,
+    whereSql: where.length ? `WHERE ${where.join(' AND ')}` : ''
+  };
+}
+
+const COLUNAS_AUDITORIA = {
+  data: 'a.created_at',
+  usuario: 'a.usuario_nome',
+  entidade: 'a.entidade',
+  acao: 'a.acao'
+};
+
+app.get('/auditoria', requireAuth, requirePermissao('auditoria.ver'), async (req, res) => {
+  try {
+    const { filtros, params, whereSql } = filtroAuditoria(req.query);
+    const pag = lerPaginacao(req.query, COLUNAS_AUDITORIA, 'data', 'desc');
+    const { rows: [{ total }] } = await pool.query(`SELECT COUNT(*)::int AS total FROM auditoria a ${whereSql}`, params);
+    const paginacao = montarPaginacao('/auditoria', filtros, pag, total);
+    const { rows: registros } = await pool.query(
+      `SELECT a.* FROM auditoria a
+       ${whereSql}
+       ORDER BY ${pag.orderSql}, a.id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, paginacao.tamanho, paginacao.offset]
+    );
+    const { rows: usuarios } = await pool.query('SELECT id, nome FROM usuarios ORDER BY nome');
+    res.render('auditoria', {
+      registros,
+      usuarios,
+      paginacao,
+      entidades: ENTIDADES_AUDITORIA,
+      acoes: ACOES_AUDITORIA
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Erro ao carregar auditoria');
+  }
+});
+
+app.get('/auditoria/exportar', requireAuth, requirePermissao('auditoria.ver'), async (req, res) => {
+  try {
+    const { params, whereSql } = filtroAuditoria(req.query);
+    const { orderSql } = lerPaginacao(req.query, COLUNAS_AUDITORIA, 'data', 'desc');
+    const { rows } = await pool.query(
+      `SELECT a.* FROM auditoria a ${whereSql} ORDER BY ${orderSql}, a.id DESC`,
+      params
+    );
+    enviarPlanilha(res, 'auditoria', req.query.formato, [
+      ['Data', 'Usuário', 'IP', 'Entidade', 'ID', 'Ação', 'Antes', 'Depois'],
+      ...rows.map(a => [
+        new Date(a.created_at).toLocaleString('pt-BR'),
+        a.usuario_nome || '',
+        a.ip || '',
+        ENTIDADES_AUDITORIA[a.entidade] || a.entidade,
+        a.id_entidade ?? '',
+        ACOES_AUDITORIA[a.acao] || a.acao,
+        a.antes ? JSON.stringify(a.antes) : '',
+        a.depois ? JSON.stringify(a.depois) : ''
+      ])
+    ]);
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Erro ao exportar auditoria');
+  }
+});
+
+
+// ======== Perfil do usuário (autogerenciado) ========
+
+// pequeno limitador p/ trocas sensíveis
+const perfilLimiter = rateLimit({
+  windowMs: 10 * 60 * 1000, // 10 min
+  max: 60
+});
+
+// Regras de senha nova: as mesmas na troca pelo perfil e na redefinição por e-mail
+function validarNovaSenha(nova_senha, confirmar_senha) {
+  if (nova_senha.length < 6) return 'A nova senha deve ter ao menos 6 caracteres.';
+  if (nova_senha !== confirmar_senha) return 'A confirmação não coincide com a nova senha.';
+  return null;
+}
+
+// utilitário rápido
+async function getUserById(id) {
+  const { rows } = await pool.query(
+    'SELECT id, nome, email, senha_hash, role FROM usuarios WHERE id = $1',
+    [id]
+  );
+  return rows[0] || null;
+}
+
+// Tela de perfil
+app.get('/perfil', requireAuth, async (req, res) => {
+  res.render('perfil', {
+    usuario: req.session.usuario,
+    msg: req.query.msg || '',
+    err: req.query.err || ''
+  });
+});
+
+// Atualizar e-mail (exige senha atual)
+app.post('/perfil/email', requireAuth, perfilLimiter, async (req, res) => {
+  try {
+    const { email, senha_atual } = req.body;
+    if (!email || !senha_atual) {
+      return res.redirect('/perfil?err=' + encodeURIComponent('Preencha e-mail e senha atual.'));
+    }
+
+    const user = await getUserById(req.session.usuario.id);
+    if (!user) return res.redirect('/logout');
+
+    const ok = await bcrypt.compare(senha_atual, user.senha_hash);
+    if (!ok) {
+      return res.redirect('/perfil?err=' + encodeURIComponent('Senha atual incorreta.'));
+    }
+
+    // checa se e-mail já está em uso por outro usuário
+    const { rows: exists } = await pool.query(
+      'SELECT 1 FROM usuarios WHERE email = $1 AND id <> $2',
+      [email.toLowerCase(), user.id]
+    );
+    if (exists.length > 0) {
+      return res.redirect('/perfil?err=' + encodeURIComponent('E-mail já está em uso por outro usuário.'));
+    }
+
+    await pool.query(
+      'UPDATE usuarios SET email = $1, updated_at = NOW() WHERE id = $2',
+      [email.toLowerCase(), user.id]
+    );
+    await registrarAuditoria(pool, req, {
+      entidade: 'USUARIO', id_entidade: user.id, acao: 'EDITAR',
+      antes: { email: user.email }, depois: { email: email.toLowerCase() }
+    });
+
+    // atualiza sessão
+    req.session.usuario.email = email.toLowerCase();
+
+    return res.redirect('/perfil?msg=' + encodeURIComponent('E-mail atualizado com sucesso.'));
+  } catch (e) {
+    console.error(e);
+    return res.redirect('/perfil?err=' + encodeURIComponent('Erro ao atualizar e-mail.'));
+  }
+});
+
+// Atualizar senha (exige senha atual + confirmação)
+app.post('/perfil/senha', requireAuth, perfilLimiter, async (req, res) => {
+  try {
+    const { senha_atual, nova_senha, confirmar_senha } = req.body;
+    if (!senha_atual || !nova_senha || !confirmar_senha) {
+      return res.redirect('/perfil?err=' + encodeURIComponent('Preencha todos os campos de senha.'));
+    }
+    const erroSenha = validarNovaSenha(nova_senha, confirmar_senha);
+    if (erroSenha) return res.redirect('/perfil?err=' + encodeURIComponent(erroSenha));
+
+    const user = await getUserById(req.session.usuario.id);
+    if (!user) return res.redirect('/logout');
+
+    const ok = await bcrypt.compare(senha_atual, user.senha_hash);
+    if (!ok) {
+      return res.redirect('/perfil?err=' + encodeURIComponent('Senha atual incorreta.'));
+    }
+    if (nova_senha === senha_atual) {
+      return res.redirect('/perfil?err=' + encodeURIComponent('A nova senha precisa ser diferente da atual.'));
+    }
+
+    const hash = await bcrypt.hash(nova_senha, 12);
+    await pool.query(
+      'UPDATE usuarios SET senha_hash = $1, senha_temporaria = false, updated_at = NOW() WHERE id = $2',
+      [hash, user.id]
+    );
+    delete req.session.usuario.trocarSenha;
+    // a senha (nem o hash) nunca vai para a auditoria; só o fato de ter sido trocada
+    await registrarAuditoria(pool, req, { entidade: 'USUARIO', id_entidade: user.id, acao: 'EDITAR', depois: { senha: 'alterada' } });
+
+    return res.redirect('/perfil?msg=' + encodeURIComponent('Senha atualizada com sucesso.'));
+  } catch (e) {
+    console.error(e);
+    return res.redirect('/perfil?err=' + encodeURIComponent('Erro ao atualizar senha.'));
+  }
+});
+
+
+// --------- Verificação em duas etapas (TOTP) ---------
+// Geração e conferência dos códigos ficam em utilitarios.js; aqui, o que depende do banco e da sessão.
+const TOTP_EMISSOR = process.env.TOTP_EMISSOR || 'Gerenciador';
+// Códigos de recuperação (celular perdido): 10 de uso único, mostrados uma vez; no banco só o hash
+function gerarCodigosRecuperacao() {
+  const codigos = Array.from({ length: 10 }, () => crypto.randomBytes(5).toString('hex').replace(/^(.{5})/, '$1-'));
+  return { codigos, hashes: codigos.map(c => hashToken(normalizarRecuperacao(c))) };
+}
+
+// Confere o código do autenticador ou, se aceitarRecuperacao, um código de recuperação, e o
+// consome. Os UPDATEs condicionais garantem que o mesmo código não passe duas vezes nem em
+// requisições simultâneas. Devolve { ok, restantes } (restantes só quando usou recuperação).
+async function usarCodigo2fa(db, usuario, codigo, { aceitarRecuperacao = true } = {}) {
+  const passo = conferirTotp(usuario.totp_segredo, codigo, usuario.totp_ultimo_passo);
+  if (passo) {
+    const { rowCount } = await db.query(
+      'UPDATE usuarios SET totp_ultimo_passo = $1 WHERE id = $2 AND COALESCE(totp_ultimo_passo, 0) < $1',
+      [passo, usuario.id]
+    );
+    return { ok: rowCount > 0 };
+  }
+  const recuperacao = normalizarRecuperacao(codigo);
+  if (!aceitarRecuperacao || recuperacao.length !== 10) return { ok: false };
+  const { rows } = await db.query(
+    `UPDATE usuarios SET totp_recuperacao = array_remove(totp_recuperacao, $1)
+     WHERE id = $2 AND $1 = ANY(totp_recuperacao)
+     RETURNING cardinality(totp_recuperacao) AS restantes`,
+    [hashToken(recuperacao), usuario.id]
+  );
+  return rows.length ? { ok: true, restantes: rows[0].restantes } : { ok: false };
+}
+
+async function getUser2fa(id) {
+  const { rows } = await pool.query(
+    `SELECT id, nome, email, senha_hash, role, ativo, senha_temporaria,
+            totp_segredo, totp_ativo, totp_obrigatorio, totp_ultimo_passo,
+            COALESCE(cardinality(totp_recuperacao), 0) AS recuperacao_restantes
+     FROM usuarios WHERE id = $1`,
+    [id]
+  );
+  return rows[0] || null;
+}
+
+// Tela de configuração: sem 2FA, mostra o QR de um segredo novo (guardado na sessão até a
+// confirmação com o primeiro código); com 2FA, os códigos de recuperação e a desativação
+app.get('/perfil/2fa', requireAuth, async (req, res) => {
+  try {
+    const user = await getUser2fa(req.session.usuario.id);
+    if (!user) return res.redirect('/logout');
+
+    let segredo = null;
+    let qrCode = null;
+    if (!user.totp_ativo) {
+      segredo = req.session.totpPendente || (req.session.totpPendente = paraBase32(crypto.randomBytes(20)));
+      const rotulo = encodeURIComponent(`${TOTP_EMISSOR}:${user.email}`);
+      qrCode = await QRCode.toDataURL(
+        `otpauth://totp/${rotulo}?secret=${segredo}&issuer=${encodeURIComponent(TOTP_EMISSOR)}&algorithm=SHA1&digits=6&period=30`
+      );
+    }
+    // códigos de recuperação recém-gerados: aparecem uma única vez
+    const codigos = req.session.codigosRecuperacao || null;
+    delete req.session.codigosRecuperacao;
+
+    res.render('perfil-2fa', {
+      usuario: req.session.usuario,
+      ativo: user.totp_ativo,
+      obrigatorio: user.totp_obrigatorio,
+      restantes: Number(user.recuperacao_restantes),
+      segredo,
+      qrCode,
+      codigos,
+      msg: req.query.msg || '',
+      err: req.query.err || ''
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).send('Erro ao carregar a verificação em duas etapas');
+  }
+});
+
+app.post('/perfil/2fa/ativar', requireAuth, perfilLimiter, async (req, res) => {
+  try {
+    const segredo = req.session.totpPendente;
+    if (!segredo) return res.redirect('/perfil/2fa');
+    const passo = conferirTotp(segredo, req.body.codigo);
+    if (!passo) {
+      return res.redirect('/perfil/2fa?err=' + encodeURIComponent('Código inválido. Confira o relógio do celular e tente de novo.'));
+    }
+
+    const { codigos, hashes } = gerarCodigosRecuperacao();
+    const { rowCount } = await pool.query(
+      `UPDATE usuarios SET totp_segredo = $1, totp_ativo = true, totp_ultimo_passo = $2, totp_recuperacao = $3, updated_at = NOW()
+       WHERE id = $4 AND NOT totp_ativo`,
+      [segredo, passo, hashes, req.session.usuario.id]
+    );
+    delete req.session.totpPendente;
+    if (!rowCount) return res.redirect('/perfil/2fa?err=' + encodeURIComponent('A verificação em duas etapas já está ativa.'));
+
+    delete req.session.usuario.configurar2fa;
+    req.session.codigosRecuperacao = codigos;
+    await registrarAuditoria(pool, req, {
+      entidade: 'USUARIO', id_entidade: req.session.usuario.id, acao: 'ATIVAR_2FA', antes: { totp_ativo: false }, depois: { totp_ativo: true }
+    });
+    res.redirect('/perfil/2fa?msg=' + encodeURIComponent('Verificação em duas etapas ativada.'));
+  } catch (e) {
+    console.error(e);
+    res.redirect('/perfil/2fa?err=' + encodeURIComponent('Erro ao ativar a verificação em duas etapas.'));
+  }
+});
+
+// Novos códigos de recuperação (invalida os anteriores); exige um código do autenticador
+app.post('/perfil/2fa/recuperacao', requireAuth, perfilLimiter, async (req, res) => {
+  try {
+    const user = await getUser2fa(req.session.usuario.id);
+    if (!user) return res.redirect('/logout');
+    if (!user.totp_ativo) return res.redirect('/perfil/2fa');
+    const { ok } = await usarCodigo2fa(pool, user, req.body.codigo, { aceitarRecuperacao: false });
+    if (!ok) return res.redirect('/perfil/2fa?err=' + encodeURIComponent('Código do autenticador inválido.'));
+
+    const { codigos, hashes } = gerarCodigosRecuperacao();
+    await pool.query('UPDATE usuarios SET totp_recuperacao = $1, updated_at = NOW() WHERE id = $2', [hashes, user.id]);
+    req.session.codigosRecuperacao = codigos;
+    await registrarAuditoria(pool, req, { entidade: 'USUARIO', id_entidade: user.id, acao: 'NOVOS_CODIGOS_2FA' });
+    res.redirect('/perfil/2fa?msg=' + encodeURIComponent('Novos códigos de recuperação gerados; os anteriores não valem mais.'));
+  } catch (e) {
+    console.error(e);
+    res.redirect('/perfil/2fa?err=' + encodeURIComponent('Erro ao gerar códigos de recuperação.'));
+  }
+});
+
+// Desativar exige senha atual + código (do autenticador ou de recuperação)
+app.post('/perfil/2fa/desativar', requireAuth, perfilLimiter, async (req, res) => {
+  try {
+    const { senha_atual, codigo } = req.body;
+    const user = await getUser2fa(req.session.usuario.id);
+    if (!user) return res.redirect('/logout');
+    if (!user.totp_ativo) return res.redirect('/perfil/2fa');
+    if (user.totp_obrigatorio) {
+      return res.redirect('/perfil/2fa?err=' + encodeURIComponent('A verificação em duas etapas é obrigatória para a sua conta.'));
+    }
+    if (!senha_atual || !(await bcrypt.compare(senha_atual, user.senha_hash))) {
+      return res.redirect('/perfil/2fa?err=' + encodeURIComponent('Senha atual incorreta.'));
+    }
+    const { ok } = await usarCodigo2fa(pool, user, codigo);
+    if (!ok) return res.redirect('/perfil/2fa?err=' + encodeURIComponent('Código inválido.'));
+
+    await pool.query(
+      `UPDATE usuarios SET totp_ativo = false, totp_segredo = NULL, totp_ultimo_passo = NULL, totp_recuperacao = NULL, updated_at = NOW()
+       WHERE id = $1`,
+      [user.id]
+    );
+    await registrarAuditoria(pool, req, {
+      entidade: 'USUARIO', id_entidade: user.id, acao: 'DESATIVAR_2FA', antes: { totp_ativo: true }, depois: { totp_ativo: false }
+    });
+    res.redirect('/perfil/2fa?msg=' + encodeURIComponent('Verificação em duas etapas desativada.'));
+  } catch (e) {
+    console.error(e);
+    res.redirect('/perfil/2fa?err=' + encodeURIComponent('Erro ao desativar a verificação em duas etapas.'));
+  }
+});
+
+
+// Login
+app.get('/login', (req, res) => {
+  if (req.session?.usuario) return res.redirect('/');
+  res.render('login', { error: '', msg: req.query.msg || '', nextUrl: req.query.next || '' });
+});
+
+// Senha (e, se ativo, código do 2FA) conferidos: só aqui o usuário entra na sessão.
+// Devolve para onde redirecionar.
+async function concluirLogin(req, user, nextUrl) {
+  await pool.query('UPDATE usuarios SET ultimo_login = NOW() WHERE id = $1', [user.id]);
+  // salva na sessão (sem hash)
+  req.session.usuario = { id: user.id, nome: user.nome, email: user.email, role: user.role };
+  if (user.totp_obrigatorio && !user.totp_ativo) req.session.usuario.configurar2fa = true;
+  if (user.senha_temporaria) {
+    req.session.usuario.trocarSenha = true;
+    return '/perfil?err=' + encodeURIComponent('Sua senha é temporária: defina uma nova senha para continuar.');
+  }
+  if (req.session.usuario.configurar2fa) {
+    return '/perfil/2fa?err=' + encodeURIComponent('A verificação em duas etapas é obrigatória: ative-a para continuar.');
+  }
+  return nextUrl || '/';
+}
+
+app.post('/login', authLimiter, async (req, res) => {
+  try {
+    const { email, senha, nextUrl } = req.body;
+    if (!email || !senha) {
+      return res.render('login', { error: 'Informe e-mail e senha.', nextUrl: nextUrl || '' });
+    }
+    const { rows } = await pool.query(
+      `SELECT id, nome, email, senha_hash, role, ativo, senha_temporaria, totp_ativo, totp_obrigatorio
+       FROM usuarios WHERE email = $1`,
+      [email.toLowerCase()]
+    );
+    if (rows.length === 0) {
+      return res.render('login', { error: 'Usuário ou senha inválidos.', nextUrl: nextUrl || '' });
+    }
+    const user = rows[0];
+    const ok = await bcrypt.compare(senha, user.senha_hash);
+    if (!ok) {
+      return res.render('login', { error: 'Usuário ou senha inválidos.', nextUrl: nextUrl || '' });
+    }
+    if (!user.ativo) {
+      return res.render('login', { error: 'Usuário desativado. Procure um administrador.', nextUrl: nextUrl || '' });
+    }
+    if (user.totp_ativo) {
+      // senha certa, mas falta o segundo passo: a sessão guarda só quem está tentando entrar
+      req.session.login2fa = { id: user.id, nextUrl: nextUrl || '', inicio: Date.now(), tentativas: 0 };
+      return res.redirect('/login/2fa');
+    }
+    res.redirect(await concluirLogin(req, user, nextUrl));
+  } catch (err) {
+    console.error(err);
+    res.render('login', { error: 'Erro ao autenticar: ' + err.message, nextUrl: req.body.nextUrl || '' });
+  }
+});
+
+// Segundo passo do login: 5 minutos e 5 tentativas depois da senha, senão volta ao começo
+const LOGIN_2FA_MINUTOS = 5;
+const LOGIN_2FA_TENTATIVAS = 5;
+
+function login2faPendente(req) {
+  const pendente = req.session?.login2fa;
+  if (pendente && Date.now() - pendente.inicio < LOGIN_2FA_MINUTOS * 60 * 1000) return pendente;
+  if (req.session) delete req.session.login2fa;
+  return null;
+}
+
+app.get('/login/2fa', (req, res) => {
+  if (req.session?.usuario) return res.redirect('/');
+  if (!login2faPendente(req)) return res.redirect('/login');
+  res.render('login-2fa', { error: '' });
+});
+
+app.post('/login/2fa', authLimiter, async (req, res) => {
+  try {
+    const pendente = login2faPendente(req);
+    if (!pendente) {
+      return res.render('login', { error: 'Tempo esgotado. Entre com a senha novamente.', nextUrl: '' });
+    }
+    const user = await getUser2fa(pendente.id);
+    if (!user || !user.ativo || !user.totp_ativo) {
+      delete req.session.login2fa;
+      return res.redirect('/login');
+    }
+
+    const { ok, restantes } = await usarCodigo2fa(pool, user, req.body.codigo);
+    if (!ok) {
+      pendente.tentativas += 1;
+      if (pendente.tentativas >= LOGIN_2FA_TENTATIVAS) {
+        delete req.session.login2fa;
+        return res.render('login', { error: 'Códigos inválidos demais. Entre com a senha novamente.', nextUrl: '' });
+      }
+      return res.render('login-2fa', { error: 'Código inválido.' });
+    }
+
+    delete req.session.login2fa;
+    let destino = await concluirLogin(req, user, pendente.nextUrl);
+    if (restantes !== undefined && destino === (pendente.nextUrl || '/')) {
+      destino = '/perfil/2fa?msg=' + encodeURIComponent(
+        `Você entrou com um código de recuperação; restam ${restantes}. Gere novos códigos se estiver acabando.`
+      );
+    }
+    res.redirect(destino);
+  } catch (err) {
+    console.error(err);
+    res.render('login-2fa', { error: 'Erro ao autenticar: ' + err.message });
+  }
+});
+
+// Logout
+app.get('/logout', (req, res) => {
+  req.session.destroy(() => {
+    res.redirect('/login');
+  });
+});
+
+// --------- E-mail ---------
+// MAIL_TRANSPORT escolhe como as mensagens saem:
+//   smtp    -> produção (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+//   arquivo -> grava cada mensagem como .eml em MAIL_DIR (padrão ./emails), para abrir no cliente de e-mail
+//   console -> só registra destinatário e assunto no log (padrão); o corpo, que pode ter link de
+//              redefinição de senha, não vai para o log: para ler as mensagens, use arquivo
+// Cada transporte é uma função (mensagem) => Promise; para outro serviço, basta acrescentar um aqui.
+const MAIL_FROM = process.env.MAIL_FROM || 'Gerenciador <nao-responda@localhost>';
+
+const TRANSPORTES_EMAIL = {
+  smtp() {
+    const transporte = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+    return mensagem => transporte.sendMail({ from: MAIL_FROM, ...mensagem });
+  },
+  arquivo() {
+    const dir = process.env.MAIL_DIR || path.join(__dirname, 'emails');
+    const transporte = nodemailer.createTransport({ streamTransport: true, buffer: true });
+    return async mensagem => {
+      const { message } = await transporte.sendMail({ from: MAIL_FROM, ...mensagem });
+      await fs.promises.mkdir(dir, { recursive: true });
+      const arquivo = path.join(dir, `${Date.now()}-${crypto.randomBytes(3).toString('hex')}.eml`);
+      await fs.promises.writeFile(arquivo, message);
+      console.log(`[email] ${mensagem.to}: "${mensagem.subject}" gravado em ${arquivo}`);
+    };
+  },
+  console() {
+    return async mensagem => {
+      console.log(`[email] ${mensagem.to}: "${mensagem.subject}" (conteúdo não exibido)`);
+    };
+  }
+};
+
+const nomeTransporteEmail = process.env.MAIL_TRANSPORT || 'console';
+if (!TRANSPORTES_EMAIL[nomeTransporteEmail]) {
+  throw new Error(`MAIL_TRANSPORT inválido: ${nomeTransporteEmail} (use ${Object.keys(TRANSPORTES_EMAIL).join(', ')})`);
+}
+const enviarEmail = TRANSPORTES_EMAIL[nomeTransporteEmail]();
+
+// --------- Esqueci minha senha ---------
+// O link leva um token aleatório; no banco fica só o hash (SHA-256), então quem lê a tabela não
+// consegue usá-lo. Vale por RESET_SENHA_MINUTOS (padrão 60) e uma única vez.
+const RESET_SENHA_MINUTOS = Number(process.env.RESET_SENHA_MINUTOS) || 60;
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+// Endereço público do sistema para os links dos e-mails. Vem só da configuração, nunca do Host da
+// requisição: com um Host forjado, o link com um token válido apontaria para outro domínio.
+// Sem APP_URL, a redefinição por e-mail fica desligada.
+const APP_URL = (process.env.APP_URL || '').replace(/\/+$/, '');
+if (APP_URL && !/^https?:\/\/[^/]+/.test(APP_URL)) {
+  throw new Error(`APP_URL inválida: ${APP_URL} (ex.: https://gerenciador.exemplo.com.br)`);
+}
+if (!APP_URL) console.warn('APP_URL não definida: a redefinição de senha por e-mail está desativada.');
+
+// Gera o token e manda o e-mail. Roda depois da resposta, para o tempo dela não revelar se o
+// e-mail tem conta; falhas só vão para o log.
+async function enviarLinkRedefinicao(email, ip) {
+  const { rows: [usuario] } = await pool.query('SELECT id, nome, email FROM usuarios WHERE email = $1 AND ativo', [email]);
+  if (!usuario) return;
+  const token = crypto.randomBytes(32).toString('base64url');
+  // só o link mais recente vale
+  await pool.query('DELETE FROM senha_tokens WHERE id_usuario = $1 AND usado_em IS NULL', [usuario.id]);
+  await pool.query(
+    `INSERT INTO senha_tokens (id_usuario, token_hash, expira_em, ip)
+     VALUES ($1, $2, NOW() + make_interval(mins => $3), $4)`,
+    [usuario.id, hashToken(token), RESET_SENHA_MINUTOS, ip || null]
+  );
+  const link = `${APP_URL}/redefinir-senha/${token}`;
+  await enviarEmail({
+    to: usuario.email,
+    subject: 'Redefinição de senha',
+    text: `Olá, ${usuario.nome}.\n\n` +
+      `Recebemos um pedido para redefinir a sua senha. Para criar uma nova, acesse:\n\n${link}\n\n` +
+      `O link vale por ${RESET_SENHA_MINUTOS} minutos e só pode ser usado uma vez. ` +
+      'Se não foi você, ignore este e-mail: a senha atual continua valendo.\n'
+  });
+}
+
+// Token válido (não usado, não vencido, de usuário ativo) ou null
+async function buscarTokenSenha(db, token, { lock = false } = {}) {
+  const { rows } = await db.query(
+    `SELECT t.id, t.id_usuario, u.nome, u.email, u.senha_hash
+     FROM senha_tokens t
+     JOIN usuarios u ON u.id = t.id_usuario
+     WHERE t.token_hash = $1 AND t.usado_em IS NULL AND t.expira_em > NOW() AND u.ativo
+     ${lock ? 'FOR UPDATE OF t' : ''}`,
+    [hashToken(String(token || ''))]
+  );
+  return rows[0] || null;
+}
+
+const RESET_DESATIVADO = 'A redefinição de senha por e-mail não está configurada. Procure um administrador.';
+
+app.get('/esqueci-senha', (req, res) => {
+  if (req.session?.usuario) return res.redirect('/perfil');
+  res.render('esqueci-senha', { msg: '', error: APP_URL ? '' : RESET_DESATIVADO });
+});
+
+// A resposta é a mesma exista ou não o e-mail, para não revelar quem tem conta
+app.post('/esqueci-senha', authLimiter, (req, res) => {
+  if (!APP_URL) return res.render('esqueci-senha', { msg: '', error: RESET_DESATIVADO });
+  const email = (req.body.email || '').trim().toLowerCase();
+  if (!email) return res.render('esqueci-senha', { msg: '', error: 'Informe o e-mail.' });
+
+  res.render('esqueci-senha', {
+    msg: 'Se o e-mail estiver cadastrado, você receberá em instantes um link para criar uma nova senha.',
+    error: ''
+  });
+  enviarLinkRedefinicao(email, req.ip).catch(err => console.error('Falha ao enviar link de redefinição:', err));
+});
+
+app.get('/redefinir-senha/:token', async (req, res) => {
+  try {
+    const registro = await buscarTokenSenha(pool, req.params.token);
+    res.render('redefinir-senha', { valido: !!registro, token: req.params.token, error: '' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Erro interno.');
+  }
+});
+
+app.post('/redefinir-senha/:token', authLimiter, async (req, res) => {
+  const token = req.params.token;
+  const { nova_senha, confirmar_senha } = req.body;
+  const client = await pool.connect();
+  try {
+    // o token é conferido antes de tudo: vencido ou já usado não volta a mostrar o formulário
+    await client.query('BEGIN');
+    const registro = await buscarTokenSenha(client, token, { lock: true });
+    if (!registro) {
+      await client.query('ROLLBACK');
+      return res.render('redefinir-senha', { valido: false, token, error: '' });
+    }
+    const erroSenha = !nova_senha || !confirmar_senha
+      ? 'Preencha todos os campos de senha.'
+      : validarNovaSenha(nova_senha, confirmar_senha);
+    if (erroSenha) {
+      await client.query('ROLLBACK');
+      return res.render('redefinir-senha', { valido: true, token, error: erroSenha });
+    }
+    if (await bcrypt.compare(nova_senha, registro.senha_hash)) {
+      await client.query('ROLLBACK');
+      return res.render('redefinir-senha', { valido: true, token, error: 'A nova senha precisa ser diferente da atual.' });
+    }
+
+    const hash = await bcrypt.hash(nova_senha, 12);
+    await client.query(
+      'UPDATE usuarios SET senha_hash = $1, senha_temporaria = false, updated_at = NOW() WHERE id = $2',
+      [hash, registro.id_usuario]
+    );
+    await client.query('UPDATE senha_tokens SET usado_em = NOW() WHERE id = $1', [registro.id]);
+    // quem estava logado com a senha antiga (talvez quem a descobriu) sai de todos os lugares
+    await encerrarSessoes(client, registro.id_usuario);
+    await registrarAuditoria(client, req, {
+      entidade: 'USUARIO', id_entidade: registro.id_usuario, acao: 'REDEFINIR_SENHA', depois: { senha: 'redefinida por e-mail' }
+    });
+    await client.query('COMMIT');
+
+    res.redirect('/login?msg=' + encodeURIComponent('Senha redefinida. Entre com a nova senha.'));
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error(err);
+    res.render('redefinir-senha', { valido: true, token, error: 'Erro ao redefinir a senha.' });
+  } finally {
+    client.release();
+  }
+});
+
+// ======== A partir daqui, tudo protegido ========
+
+// Rota inicial (protegida)
+// Números do painel inicial. Com relatorios.todos vê a loja inteira; sem, só as próprias vendas,
+// como em /relatorios/vendas-geral. Estoque não é por usuário: aparece igual para quem tem produtos.ver
+// e não vem (null) para quem não tem.
+async function consultarDashboard(usuario, { todos, verEstoque }) {
+  const params = todos ? [] : [usuario.id];
+  const where = [`(v.status IS NULL OR UPPER(v.status) NOT LIKE 'CANCEL%')`];
+  if (!todos) where.push('v.id_usuario = $1');
+  const liquido = 'COALESCE(v.total, 0) - COALESCE(v.total_devolvido, 0)';
+
+  const hoje = await pool.query(
+    `SELECT COUNT(*)::int AS vendas, COALESCE(SUM(${liquido}), 0) AS receita
+     FROM vendas v
+     WHERE ${where.join(' AND ')} AND v.data_venda >= CURRENT_DATE`,
+    params
+  );
+
+  // Série diária completa (dias sem venda entram com zero)
+  const ultimos30 = await pool.query(
+    `SELECT to_char(d.dia, 'YYYY-MM-DD') AS dia, COALESCE(SUM(${liquido}), 0) AS total
+     FROM generate_series(CURRENT_DATE - 29, CURRENT_DATE, interval '1 day') AS d(dia)
+     LEFT JOIN vendas v ON v.data_venda >= d.dia AND v.data_venda < d.dia + interval '1 day'
+       AND ${where.join(' AND ')}
+     GROUP BY d.dia
+     ORDER BY d.dia`,
+    params
+  );
+
+  const vendedores = todos ? (await pool.query(
+    `SELECT COALESCE(u.nome, '-') AS nome, COUNT(*)::int AS vendas, SUM(${liquido}) AS total
+     FROM vendas v
+     LEFT JOIN usuarios u ON u.id = v.id_usuario
+     WHERE ${where.join(' AND ')} AND v.data_venda >= CURRENT_DATE - 29
+     GROUP BY u.nome
+     ORDER BY total DESC
+     LIMIT 5`
+  )).rows : [];
+
+  // Receita do item = preço praticado (sem o desconto do item) menos a parte do desconto da venda, rateado
+  // entre os itens originais na proporção do valor de cada um (itens de troca não tiveram esse desconto)
+  const produtos = await pool.query(
+    `SELECT p.nome, SUM(i.quantidade - i.quantidade_devolvida)::int AS quantidade,
+            SUM((i.quantidade - i.quantidade_devolvida) * (i.preco_unitario - COALESCE(i.desconto, 0) / i.quantidade)
+                * (1 - CASE WHEN i.id_devolucao IS NULL THEN COALESCE(rateio.fator, 0) ELSE 0 END)) AS receita
+     FROM itens_venda i
+     JOIN vendas v ON v.id = i.id_venda
+     JOIN produtos p ON p.id = i.id_produto
+     LEFT JOIN LATERAL (
+       SELECT COALESCE(v.desconto, 0) / NULLIF(SUM(o.quantidade * o.preco_unitario - COALESCE(o.desconto, 0)), 0) AS fator
+       FROM itens_venda o
+       WHERE o.id_venda = v.id AND o.id_devolucao IS NULL
+     ) rateio ON true
+     WHERE ${where.join(' AND ')} AND v.data_venda >= CURRENT_DATE - 29
+     GROUP BY p.id, p.nome
+     HAVING SUM(i.quantidade - i.quantidade_devolvida) > 0
+     ORDER BY quantidade DESC, p.nome
+     LIMIT 5`,
+    params
+  );
+
+  const estoque = verEstoque ? (await pool.query(
+    `SELECT p.id, p.nome, COALESCE(e.quantidade, 0) AS quantidade, p.estoque_minimo
+     FROM produtos p
+     LEFT JOIN estoque e ON e.id_produto = p.id
+     WHERE p.arquivado_em IS NULL
+       AND (COALESCE(e.quantidade, 0) <= 0 OR (p.estoque_minimo > 0 AND COALESCE(e.quantidade, 0) < p.estoque_minimo))
+     ORDER BY COALESCE(e.quantidade, 0), p.nome
+     LIMIT 10`
+  )).rows : null;
+
+  return {
+    hoje: { vendas: hoje.rows[0].vendas, receita: Number(hoje.rows[0].receita) },
+    ultimos30: ultimos30.rows.map(r => ({ dia: r.dia, total: Number(r.total) })),
+    vendedores: vendedores.map(r => ({ nome: r.nome, vendas: r.vendas, total: Number(r.total) })),
+    produtos: produtos.rows.map(r => ({ nome: r.nome, quantidade: r.quantidade, receita: Number(r.receita) })),
+    estoque: estoque && estoque.map(r => ({ id: r.id, nome: r.nome, quantidade: Number(r.quantidade), estoque_minimo: r.estoque_minimo })),
+    atualizado_em: new Date()
+  };
+}
+
+app.get('/', requireAuth, async (req, res) => {
+  try {
+    res.render('index', { dashboard: await consultarDashboard(req.session.usuario, { todos: pode(req, 'relatorios.todos'), verEstoque: pode(req, 'produtos.ver') }) });
+  } catch (err) {
+    console.error(err);
+    // O menu continua utilizável mesmo se o painel falhar
+    res.render('index', { dashboard: null });
+  }
+});
+
+// Dados do painel para atualização sem recarregar a página
+app.get('/dashboard/dados', requireAuth, async (req, res) => {
+  try {
+    res.json(await consultarDashboard(req.session.usuario, { todos: pode(req, 'relatorios.todos'), verEstoque: pode(req, 'produtos.ver') }));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Erro ao carregar o painel.' });
+  }
+});
+
+// --------- Produtos ---------
+const COLUNAS_PRODUTOS = {
+  nome: 'p.nome',
+  valor_unitario: 'p.valor_unitario',
+  valor_venda: 'p.valor_venda',
+  quantidade: 'COALESCE(e.quantidade, 0)',
+  etiqueta: 'p.etiquetas_impressas'
+};
+
+// Filtro da lista de produtos (reaproveitado na exportação): nome sem diferenciar
+// acentos/maiúsculas, código interno ou do fabricante, etiquetas pendentes, categoria
+// (incluindo as subcategorias) e unidade. Mostra os ativos ou, com ?situacao=arquivados, os arquivados.
+function filtroProdutos(query) {
+  const busca = (query.busca || '').trim();
+  const situacao = query.situacao === 'arquivados' ? 'arquivados' : '';
+  const etiquetas = query.etiquetas === 'pendentes' ? 'pendentes' : '';
+  const categoria = lerIdCategoria(query.categoria);
+  const unidade = UNIDADES_MEDIDA[query.unidade] ? query.unidade : '';
+  const where = [situacao ? 'p.arquivado_em IS NOT NULL' : 'p.arquivado_em IS NULL'];
+  const params = [];
+  if (busca) {
+    params.push(`%${busca.replace(/[\\%_]/g, '\\$&')}%`);
+    where.push(`(f_unaccent(lower(p.nome)) LIKE f_unaccent(lower($${params.length}))
+      OR p.barcode LIKE $${params.length}
+      OR EXISTS (SELECT 1 FROM produtos_codigos c WHERE c.id_produto = p.id AND c.codigo LIKE $${params.length}))`);
+  }
+  if (etiquetas) where.push('p.etiquetas_impressas IS NOT TRUE');
+  if (categoria) {
+    params.push(categoria);
+    where.push(sqlCategoriaOuSubcategorias('p.id_categoria', params.length));
+  }
+  if (unidade) {
+    params.push(unidade);
+    where.push(`p.unidade = $${params.length}`);
+  }
+  return { busca, etiquetas, categoria, unidade, situacao, params, whereSql: `WHERE ${where.join(' AND ')}` };
+}
+
+app.get('/produtos', requireAuth, requirePermissao('produtos.ver'), async (req, res) => {
+  try {
+    const { busca, etiquetas, categoria, unidade, situacao, params, whereSql } = filtroProdutos(req.query);
+    const pag = lerPaginacao(req.query, COLUNAS_PRODUTOS, 'nome');
+    const { rows: [{ total }] } = await pool.query(
+      `SELECT COUNT(*)::int AS total FROM produtos p ${whereSql}`,
+      params
+    );
+    const paginacao = montarPaginacao('/produtos', { busca, etiquetas, categoria, unidade, situacao }, pag, total);
+    const result = await pool.query(`${SQL_ARVORE_CATEGORIAS}
+      SELECT p.id, p.nome, p.barcode, p.valor_unitario, p.valor_venda, p.descricao, e.quantidade, p.etiquetas_impressas,
+             p.estoque_minimo, p.quantidade_reposicao, p.etiqueta_versao, p.etiqueta_versao_impressa, p.etiqueta_impressa_em,
+             p.unidade, p.id_categoria, cat.caminho AS categoria, ${SQL_PRECO_PROGRAMADO} AS preco_programado, p.arquivado_em,
+             (SELECT string_agg(c.codigo, ' ' ORDER BY c.id) FROM produtos_codigos c WHERE c.id_produto = p.id) AS codigos_externos
+      FROM produtos p
+      LEFT JOIN estoque e ON p.id = e.id_produto
+      LEFT JOIN arvore cat ON cat.id = p.id_categoria
+      ${whereSql}
+      ORDER BY ${pag.orderSql}, p.id ASC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, paginacao.tamanho, paginacao.offset]);
+    // Sem etiquetas.json válido a tela abre do mesmo jeito; o erro aparece ao imprimir
+    let modelosEtiqueta = [];
+    try { modelosEtiqueta = carregarModelosEtiqueta(); } catch (e) { console.error(e.message); }
+    res.render('produtos', {
+      produtos: result.rows,
+      modelosEtiqueta,
+      paginacao,
+      categorias: await carregarCategorias(pool),
+      unidades: UNIDADES_MEDIDA,
+      msg: req.query.msg || '',
+      err: req.query.err || ''
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Erro ao listar produtos');
+  }
+});
+
+app.post('/produtos', requireAuth, requirePermissao('produtos.cadastrar'), async (req, res) => {
+  const { nome,  valor_unitario, valor_venda, descricao, quantidade } = req.body;
+  const { estoque_minimo, quantidade_reposicao } = lerNiveisEstoque(req.body);
+  const unidade = normalizarUnidade(req.body.unidade) || 'UN';
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const produtoResult = await client.query(
+      `INSERT INTO produtos (nome, barcode, valor_unitario, valor_venda, descricao, estoque_minimo, quantidade_reposicao,
+                             unidade, id_categoria)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING id`,
+      [nome, null, valor_unitario, valor_venda || null, descricao || null, estoque_minimo, quantidade_reposicao,
+        unidade, lerIdCategoria(req.body.id_categoria)]
     );
     const id_produto = produtoResult.rows[0].id;
+    await registrarHistoricoPreco(client, {
+      id_produto,
+      anterior: null,
+      novo: { valor_unitario, valor_venda },
+      origem: 'CADASTRO',
+      id_usuario: req.session.usuario.id
+    });
+
+    const forcedBarcode = formatBarcodeFromId(id_produto);
+    await client.query(
+      'UPDATE produtos SET barcode = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [forcedBarcode, id_produto]
+    );
+    await salvarCodigosExternos(client, id_produto, lerCodigosExternos(req.body.codigos_externos));
+
+    await client.query(
+      'INSERT INTO estoque (id_produto, quantidade) VALUES ($1, $2)',
+      [id_produto, 0]
+    );
+
+    const qtdInicial = parseInt(quantidade) || 0;
+    if (qtdInicial !== 0) {
+      await movimentarEstoque(client, {
+        id_produto,
+        tipo: 'ENTRADA',
+        quantidade: qtdInicial,
+        id_usuario: req.session.usuario.id,
+        motivo: 'Estoque inicial'
+      });
+    }
+
+    await registrarAuditoria(client, req, {
+      entidade: 'PRODUTO', id_entidade: id_produto, acao: 'CRIAR', depois: await fotoProduto(client, id_produto)
+    });
+    if (qtdInicial !== 0) {
+      await registrarAuditoria(client, req, {
+        entidade: 'ESTOQUE', id_entidade: id_produto, acao: 'AJUSTAR',
+        antes: { quantidade: 0 }, depois: { quantidade: qtdInicial, motivo: 'Estoque inicial' }
+      });
+    }
+
+    await client.query('COMMIT');
+    res.redirect('/produtos');
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error(err);
+    res.status(500).send('Erro ao adicionar produto: ' + err.message);
+  } finally {
+    client.release();
+  }
+});
 
-    const forcedBarcode = formatBarcodeFromId(id_produto);
-    await pool.query(
-      'UPDATE produtos SET barcode = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-      [forcedBarcode, id_produto]
+app.post('/produtos/editar/:id', requireAuth, requirePermissao('produtos.editar', 'produtos.editar_preco', 'estoque.ajustar'), async (req, res) => {
+  const { nome,  valor_unitario, valor_venda, descricao, quantidade } = req.body;
+  const motivo = (req.body.motivo_ajuste || '').trim();
+  const { estoque_minimo, quantidade_reposicao } = lerNiveisEstoque(req.body);
+  const unidade = normalizarUnidade(req.body.unidade) || 'UN';
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const id = req.params.id;
+    const { rows: [anterior] } = await client.query(
+      'SELECT valor_unitario, valor_venda FROM produtos WHERE id = $1 FOR UPDATE',
+      [id]
+    );
+    if (!anterior) throw new Error('Produto não encontrado');
+    const fotoAntes = await fotoProduto(client, id);
+
+    // O que o papel não permite mudar fica como está (o modal mostra esses campos desabilitados)
+    const editarDados = pode(req, 'produtos.editar');
+    const dados = editarDados
+      ? { nome, descricao: descricao || null, estoque_minimo, quantidade_reposicao, unidade, id_categoria: lerIdCategoria(req.body.id_categoria) }
+      : fotoAntes;
+    const precos = pode(req, 'produtos.editar_preco')
+      ? { valor_unitario, valor_venda: valor_venda || null }
+      : anterior;
+
+    // O código interno só é gerado se o produto ainda não tiver um; nunca sobrescreve o existente
+    await client.query(
+      `UPDATE produtos
+       SET nome = $1, barcode = COALESCE(barcode, $2), valor_unitario = $3, valor_venda = $4, descricao = $5,
+           estoque_minimo = $6, quantidade_reposicao = $7, unidade = $8, id_categoria = $9, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $10`,
+      [dados.nome, formatBarcodeFromId(id), precos.valor_unitario, precos.valor_venda, dados.descricao, dados.estoque_minimo,
+        dados.quantidade_reposicao, dados.unidade, dados.id_categoria, id]
     );
+    await registrarHistoricoPreco(client, {
+      id_produto: id,
+      anterior,
+      novo: precos,
+      origem: 'EDICAO',
+      id_usuario: req.session.usuario.id
+    });
+    if (editarDados) await salvarCodigosExternos(client, id, lerCodigosExternos(req.body.codigos_externos));
 
-    await pool.query(
-      'INSERT INTO estoque (id_produto, quantidade) VALUES ($1, $2)',
-      [id_produto, parseInt(quantidade) || 0]
+    // Quantidade editada no modal vira um ajuste (com motivo), nunca sobrescrita silenciosa. Só conta
+    // se o usuário mudou o número que o modal trouxe (quantidade_original); se o estoque andou desde
+    // então (uma venda, outro ajuste), recusa em vez de desfazer o movimento sem ninguém ver.
+    const atual = await client.query(
+      'SELECT COALESCE(quantidade, 0) AS quantidade FROM estoque WHERE id_produto = $1 FOR UPDATE',
+      [id]
     );
+    const qtdAtual = atual.rowCount ? Number(atual.rows[0].quantidade) : 0;
+    const qtdInformada = parseInt(quantidade);
+    const qtdOriginal = parseInt(req.body.quantidade_original);
+    const alterouQtd = pode(req, 'estoque.ajustar') && !isNaN(qtdInformada) && !isNaN(qtdOriginal) && qtdInformada !== qtdOriginal;
+    if (alterouQtd && qtdOriginal !== qtdAtual) {
+      throw Object.assign(new Error(
+        `O estoque de ${fotoAntes.nome} mudou de ${qtdOriginal} para ${qtdAtual} desde que a edição foi aberta. ` +
+        'Recarregue a página e refaça o ajuste.'
+      ), { status: 409 });
+    }
+    const diferenca = alterouQtd ? qtdInformada - qtdAtual : 0;
+
+    if (diferenca !== 0) {
+      if (!motivo) throw new Error('Informe o motivo do ajuste de estoque.');
+      await movimentarEstoque(client, {
+        id_produto: id,
+        tipo: 'AJUSTE',
+        quantidade: diferenca,
+        id_usuario: req.session.usuario.id,
+        motivo
+      });
+      await registrarAuditoria(client, req, {
+        entidade: 'ESTOQUE', id_entidade: Number(id), acao: 'AJUSTAR',
+        antes: { quantidade: qtdAtual }, depois: { quantidade: qtdAtual + diferenca, motivo }
+      });
+    }
 
-    await pool.query('COMMIT');
+    await registrarAuditoria(client, req, {
+      entidade: 'PRODUTO', id_entidade: Number(id), acao: 'EDITAR', antes: fotoAntes, depois: await fotoProduto(client, id)
+    });
+    await client.query('COMMIT');
     res.redirect('/produtos');
   } catch (err) {
-    await pool.query('ROLLBACK');
+    await client.query('ROLLBACK').catch(() => {});
     console.error(err);
-    res.status(500).send('Erro ao adicionar produto: ' + err.message);
+    res.status(err.status || 500).send('Erro ao editar produto: ' + err.message);
+  } finally {
+    client.release();
   }
 });
 
-app.post('/produtos/editar/:id', requireAuth, async (req, res) => {
-  const { nome,  valor_unitario, valor_venda, descricao, quantidade } = req.body;
+// Exportação no mesmo layout da carga (Descrição, Quantidade, Valor Total, Unidade,
+// Valor Unitário, Valor Venda, Código de Barras, Categoria): dá para editar e reimportar a planilha.
+app.get('/produtos/exportar', requireAuth, requirePermissao('produtos.ver'), async (req, res) => {
+  try {
+    // mesmos filtros e ordem da tela, sem paginar
+    const { params, whereSql } = filtroProdutos(req.query);
+    const { orderSql } = lerPaginacao(req.query, COLUNAS_PRODUTOS, 'nome');
+    const { rows: produtos } = await pool.query(`${SQL_ARVORE_CATEGORIAS}
+      SELECT p.id, p.nome, p.barcode, p.valor_unitario, p.valor_venda, COALESCE(e.quantidade, 0) AS quantidade,
+             p.unidade, cat.caminho AS categoria
+      FROM produtos p
+      LEFT JOIN estoque e ON p.id = e.id_produto
+      LEFT JOIN arvore cat ON cat.id = p.id_categoria
+      ${whereSql}
+      ORDER BY ${orderSql}, p.id ASC
+    `, params);
+
+    enviarPlanilha(res, 'produtos', req.query.formato, [
+      ['Descrição', 'Quantidade', 'Valor Total', 'Unidade', 'Valor Unitário', 'Valor Venda', 'Código de Barras', 'Categoria'],
+      ...produtos.map(p => [
+        p.nome,
+        Number(p.quantidade),
+        centavos(Number(p.quantidade) * Number(p.valor_unitario || 0)),
+        p.unidade || '',
+        Number(p.valor_unitario || 0),
+        Number(p.valor_venda || p.valor_unitario || 0),
+        p.barcode || '',
+        (p.categoria || '').replace(/ › /g, ' > ')
+      ])
+    ]);
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Erro ao exportar produtos');
+  }
+});
+
+// Histórico de movimentações de estoque do produto
+app.get('/produtos/:id/movimentacoes', requireAuth, requirePermissao('produtos.ver'), async (req, res) => {
   try {
-    await pool.query('BEGIN');
+    const { rows: prod } = await pool.query(
+      `SELECT p.id, p.nome, p.barcode, COALESCE(e.quantidade, 0) AS quantidade
+       FROM produtos p
+       LEFT JOIN estoque e ON p.id = e.id_produto
+       WHERE p.id = $1`,
+      [req.params.id]
+    );
+    if (prod.length === 0) return res.status(404).send('Produto não encontrado');
+
+    const { rows: movimentacoes } = await pool.query(
+      `SELECT m.id, m.tipo, m.quantidade, m.saldo, m.id_venda, m.motivo, m.created_at,
+              u.nome AS usuario_nome
+       FROM movimentacoes_estoque m
+       LEFT JOIN usuarios u ON u.id = m.id_usuario
+       WHERE m.id_produto = $1
+       ORDER BY m.created_at DESC, m.id DESC`,
+      [req.params.id]
+    );
 
-    const id = req.params.id;
-    const forcedBarcode = formatBarcodeFromId(id);
+    res.render('produtos-movimentacoes', { produto: prod[0], movimentacoes });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Erro ao carregar histórico de estoque');
+  }
+});
 
-    await pool.query(
-      'UPDATE produtos SET nome = $1, barcode = $2, valor_unitario = $3, valor_venda = $4, descricao = $5, updated_at = CURRENT_TIMESTAMP WHERE id = $6',
-      [nome, forcedBarcode, valor_unitario, valor_venda || null, descricao || null, id]
+// Histórico de preços e preços programados (promoções) do produto
+app.get('/produtos/:id/precos', requireAuth, requirePermissao('produtos.ver'), async (req, res) => {
+  try {
+    const { rows: prod } = await pool.query(
+      `SELECT p.id, p.nome, p.barcode, p.valor_unitario, p.valor_venda, ${SQL_PRECO_PROGRAMADO} AS preco_programado
+       FROM produtos p
+       WHERE p.id = $1`,
+      [req.params.id]
+    );
+    if (prod.length === 0) return res.status(404).send('Produto não encontrado');
+
+    const { rows: historico } = await pool.query(
+      `SELECT h.*, u.nome AS usuario_nome
+       FROM precos_historico h
+       LEFT JOIN usuarios u ON u.id = h.id_usuario
+       WHERE h.id_produto = $1
+       ORDER BY h.created_at DESC, h.id DESC`,
+      [req.params.id]
+    );
+    const { rows: programados } = await pool.query(
+      `SELECT pp.*, u.nome AS usuario_nome,
+              CASE
+                WHEN pp.inicio > LOCALTIMESTAMP THEN 'AGENDADO'
+                WHEN pp.fim IS NULL OR pp.fim > LOCALTIMESTAMP THEN 'VIGENTE'
+                ELSE 'ENCERRADO'
+              END AS situacao
+       FROM precos_programados pp
+       LEFT JOIN usuarios u ON u.id = pp.id_usuario
+       WHERE pp.id_produto = $1
+       ORDER BY pp.inicio DESC, pp.id DESC`,
+      [req.params.id]
     );
 
-    await pool.query(
-      'UPDATE estoque SET quantidade = $1, updated_at = CURRENT_TIMESTAMP WHERE id_produto = $2',
-      [parseInt(quantidade) || 0, id]
+    res.render('produtos-precos', {
+      produto: { ...prod[0], preco_atual: getPreco(prod[0]) },
+      historico,
+      programados,
+      msg: req.query.msg || '',
+      err: req.query.err || ''
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Erro ao carregar histórico de preços');
+  }
+});
+
+// Datas do formulário (datetime-local, "AAAA-MM-DDTHH:MM") no horário do servidor
+function lerDataHora(valor) {
+  return /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/.test(valor || '') ? valor.replace('T', ' ') : null;
+}
+
+app.post('/produtos/:id/precos/programar', requireAuth, requirePermissao('produtos.editar_preco'), async (req, res) => {
+  const voltar = `/produtos/${parseInt(req.params.id, 10)}/precos`;
+  const client = await pool.connect();
+  try {
+    const valor = centavos(req.body.valor_venda);
+    const inicio = lerDataHora(req.body.inicio);
+    const fim = req.body.fim ? lerDataHora(req.body.fim) : null;
+    const descricao = (req.body.descricao || '').trim().slice(0, 100) || null;
+    if (!(valor > 0)) throw new Error('Informe um preço maior que zero.');
+    if (!inicio) throw new Error('Informe a data e hora de início.');
+    if (req.body.fim && !fim) throw new Error('Data de fim inválida.');
+    if (fim && fim <= inicio) throw new Error('O fim precisa ser depois do início.');
+
+    await client.query('BEGIN');
+    const { rowCount } = await client.query('SELECT 1 FROM produtos WHERE id = $1 FOR UPDATE', [req.params.id]);
+    if (!rowCount) throw new Error('Produto não encontrado');
+    if (fim) {
+      const { rows: [{ passado }] } = await client.query('SELECT $1::timestamp <= LOCALTIMESTAMP AS passado', [fim]);
+      if (passado) throw new Error('O período informado já terminou.');
+    }
+
+    // um preço programado por vez: períodos do mesmo produto não podem se sobrepor
+    const conflito = await client.query(
+      `SELECT valor_venda, inicio, fim FROM precos_programados
+       WHERE id_produto = $1
+         AND (fim IS NULL OR fim > $2::timestamp)
+         AND ($3::timestamp IS NULL OR inicio < $3::timestamp)
+       ORDER BY inicio
+       LIMIT 1`,
+      [req.params.id, inicio, fim]
     );
+    if (conflito.rowCount) {
+      const c = conflito.rows[0];
+      const data = d => new Date(d).toLocaleString('pt-BR');
+      throw new Error(`Já existe preço programado de R$ ${Number(c.valor_venda).toFixed(2)} a partir de ${data(c.inicio)}` +
+        (c.fim ? ` até ${data(c.fim)}` : ' sem data de fim') + '. Cancele-o ou escolha outro período.');
+    }
 
-    await pool.query('COMMIT');
-    res.redirect('/produtos');
+    const { rows: [programado] } = await client.query(
+      `INSERT INTO precos_programados (id_produto, valor_venda, inicio, fim, descricao, id_usuario)
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING id`,
+      [req.params.id, valor, inicio, fim, descricao, req.session.usuario.id]
+    );
+    await registrarAuditoria(client, req, {
+      entidade: 'PRODUTO', id_entidade: Number(req.params.id), acao: 'PROGRAMAR_PRECO',
+      depois: { id_preco_programado: programado.id, valor_venda: valor, inicio, fim, descricao }
+    });
+    await client.query('COMMIT');
+    res.redirect(voltar + '?msg=' + encodeURIComponent('Preço programado.'));
   } catch (err) {
-    await pool.query('ROLLBACK');
+    await client.query('ROLLBACK').catch(() => {});
     console.error(err);
-    res.status(500).send('Erro ao editar produto: ' + err.message);
+    res.redirect(voltar + '?err=' + encodeURIComponent(err.message));
+  } finally {
+    client.release();
   }
 });
 
-app.post('/produtos/deletar/:id', requireAuth, async (req, res) => {
+// Agendado ainda não começou: é apagado. Vigente: termina agora (fica registrado como encerrado).
+app.post('/produtos/:id/precos/programados/:idProgramado/cancelar', requireAuth, requirePermissao('produtos.editar_preco'), async (req, res) => {
+  const voltar = `/produtos/${parseInt(req.params.id, 10)}/precos`;
   try {
-    await pool.query('DELETE FROM produtos WHERE id = $1', [req.params.id]);
-    res.redirect('/produtos');
+    const apagado = await pool.query(
+      `DELETE FROM precos_programados WHERE id = $1 AND id_produto = $2 AND inicio > LOCALTIMESTAMP
+       RETURNING id, valor_venda, inicio, fim`,
+      [req.params.idProgramado, req.params.id]
+    );
+    const encerrado = apagado.rowCount ? apagado : await pool.query(
+      `UPDATE precos_programados SET fim = LOCALTIMESTAMP
+       WHERE id = $1 AND id_produto = $2 AND (fim IS NULL OR fim > LOCALTIMESTAMP)
+       RETURNING id, valor_venda, inicio, fim`,
+      [req.params.idProgramado, req.params.id]
+    );
+    if (!encerrado.rowCount) throw new Error('Preço programado não encontrado ou já encerrado.');
+    const { id: id_preco_programado, ...programado } = encerrado.rows[0];
+    await registrarAuditoria(pool, req, {
+      entidade: 'PRODUTO', id_entidade: Number(req.params.id), acao: 'CANCELAR_PRECO',
+      antes: { id_preco_programado, ...programado, ...(apagado.rowCount ? {} : { fim: null }) },
+      depois: apagado.rowCount ? { id_preco_programado, excluido: true } : { id_preco_programado, ...programado }
+    });
+    res.redirect(voltar + '?msg=' + encodeURIComponent(apagado.rowCount ? 'Agendamento cancelado.' : 'Preço programado encerrado.'));
+  } catch (err) {
+    console.error(err);
+    res.redirect(voltar + '?err=' + encodeURIComponent(err.message));
+  }
+});
+
+// Arquivar tira o produto das listas, da leitura de código e da busca da venda; vendas,
+// recibos e relatórios antigos continuam mostrando o produto normalmente.
+app.post('/produtos/arquivar/:id', requireAuth, requirePermissao('produtos.arquivar'), async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      'UPDATE produtos SET arquivado_em = CURRENT_TIMESTAMP WHERE id = $1 AND arquivado_em IS NULL RETURNING nome',
+      [req.params.id]
+    );
+    if (!rows.length) throw new Error('Produto não encontrado ou já arquivado.');
+    await registrarAuditoria(pool, req, { entidade: 'PRODUTO', id_entidade: Number(req.params.id), acao: 'ARQUIVAR', depois: rows[0] });
+    res.redirect('/produtos?msg=' + encodeURIComponent('Produto arquivado.'));
+  } catch (err) {
+    console.error(err);
+    res.redirect('/produtos?err=' + encodeURIComponent(err.message));
+  }
+});
+
+app.post('/produtos/restaurar/:id', requireAuth, requirePermissao('produtos.arquivar'), async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      'UPDATE produtos SET arquivado_em = NULL WHERE id = $1 AND arquivado_em IS NOT NULL RETURNING nome',
+      [req.params.id]
+    );
+    if (!rows.length) throw new Error('Produto não encontrado ou não está arquivado.');
+    await registrarAuditoria(pool, req, { entidade: 'PRODUTO', id_entidade: Number(req.params.id), acao: 'RESTAURAR', depois: rows[0] });
+    res.redirect('/produtos?situacao=arquivados&msg=' + encodeURIComponent('Produto restaurado.'));
+  } catch (err) {
+    console.error(err);
+    res.redirect('/produtos?situacao=arquivados&err=' + encodeURIComponent(err.message));
+  }
+});
+
+// Exclusão definitiva: só com produtos.excluir e só para produto arquivado sem vendas, cargas,
+// movimentação de estoque nem alteração de preço (o resto fica arquivado). O único registro de preço
+// que resta é o do cadastro, que vai junto com o produto.
+app.post('/produtos/deletar/:id', requireAuth, requirePermissao('produtos.excluir'), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      `SELECT p.nome, p.arquivado_em,
+              EXISTS (SELECT 1 FROM itens_venda i WHERE i.id_produto = p.id) AS vendido,
+              EXISTS (SELECT 1 FROM cargas_produtos_itens ci WHERE ci.id_produto = p.id) AS em_carga,
+              EXISTS (SELECT 1 FROM movimentacoes_estoque m WHERE m.id_produto = p.id) AS movimentado,
+              EXISTS (SELECT 1 FROM precos_historico h WHERE h.id_produto = p.id AND h.origem <> 'CADASTRO') AS repreciado
+       FROM produtos p
+       WHERE p.id = $1
+       FOR UPDATE`,
+      [req.params.id]
+    );
+    if (!rows.length) throw new Error('Produto não encontrado.');
+    const produto = rows[0];
+    if (!produto.arquivado_em) throw new Error(`Arquive ${produto.nome} antes de excluí-lo definitivamente.`);
+    const registros = [
+      produto.vendido && 'vendas',
+      produto.em_carga && 'cargas',
+      produto.movimentado && 'movimentações de estoque',
+      produto.repreciado && 'alterações de preço'
+    ].filter(Boolean);
+    if (registros.length) {
+      const lista = registros.length > 1 ? `${registros.slice(0, -1).join(', ')} e ${registros.at(-1)}` : registros[0];
+      throw new Error(`${produto.nome} tem ${lista} registradas e não pode ser excluído; mantenha-o arquivado.`);
+    }
+    await registrarAuditoria(client, req, {
+      entidade: 'PRODUTO', id_entidade: Number(req.params.id), acao: 'EXCLUIR', antes: await fotoProduto(client, req.params.id)
+    });
+    for (const tabela of ['produtos_codigos', 'precos_programados', 'precos_historico', 'estoque']) {
+      await client.query(`DELETE FROM ${tabela} WHERE id_produto = $1`, [req.params.id]);
+    }
+    await client.query('DELETE FROM produtos WHERE id = $1', [req.params.id]);
+    await client.query('COMMIT');
+    res.redirect('/produtos?situacao=arquivados&msg=' + encodeURIComponent(`${rows[0].nome} excluído definitivamente.`));
   } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
     console.error(err);
-    res.status(500).send('Erro ao deletar produto: ' + err.message);
+    res.redirect('/produtos?situacao=arquivados&err=' + encodeURIComponent(err.message));
+  } finally {
+    client.release();
   }
 });
 
-app.get('/produtos/buscar', requireAuth, async (req, res) => {
+app.get('/produtos/buscar', requireAuth, requirePermissao('produtos.ver', 'vendas.criar', 'vendas.devolver'), async (req, res) => {
   try {
     const barcode = req.query.barcode || '';
     if (!barcode) {
       return res.status(400).json({ error: 'Código de barras é obrigatório' });
     }
-    const result = await pool.query(
-      `SELECT p.id, p.nome, p.barcode, p.valor_venda, p.valor_unitario, e.quantidade AS estoque, p.etiquetas_impressas 
-       FROM produtos p
-       LEFT JOIN estoque e ON p.id = e.id_produto
-       WHERE p.barcode = $1 order by p.nome`,
-      [barcode]
-    );
-    if (result.rows.length === 0) {
+    const produto = await buscarProdutoPorCodigo(pool, barcode);
+    if (!produto) {
       return res.status(404).json({ error: 'Produto não encontrado' });
     }
-    const produto = result.rows[0];
+    if (produto.arquivado_em) {
+      return res.status(404).json({ error: `Produto ${produto.nome} está arquivado` });
+    }
     res.json({
       id: produto.id,
       nome: produto.nome,
@@ -461,12 +2358,274 @@ app.get('/produtos/buscar', requireAuth, async (req, res) => {
   }
 });
 
-app.get('/produtos/etiqueta/:id', requireAuth, async (req, res) => {
+// Busca por nome/descrição para o autocomplete da venda (itens doados muitas vezes ainda não
+// têm etiqueta). Sem acento e sem caixa; aceita trecho do texto ou erro de digitação via
+// similaridade de trigramas (pg_trgm). A expressão é a mesma do índice produtos_busca_trgm_idx.
+const TEXTO_BUSCA_PRODUTO = `f_unaccent(lower(p.nome::text || ' ' || COALESCE(p.descricao, '')))`;
+const SIMILARIDADE_MINIMA_BUSCA = 0.3;
+
+app.get('/produtos/autocomplete', requireAuth, requirePermissao('produtos.ver', 'vendas.criar', 'vendas.devolver'), async (req, res) => {
+  try {
+    const termo = String(req.query.q || '').trim();
+    if (termo.length < 2) return res.json([]);
+    const { rows } = await pool.query(`
+      SELECT p.id, p.nome, p.barcode, p.valor_venda, p.valor_unitario, COALESCE(e.quantidade, 0) AS estoque,
+             ${SQL_PRECO_PROGRAMADO} AS preco_programado
+      FROM produtos p
+      LEFT JOIN estoque e ON e.id_produto = p.id
+      WHERE p.arquivado_em IS NULL
+        AND (${TEXTO_BUSCA_PRODUTO} LIKE '%' || f_unaccent(lower($1)) || '%'
+             OR word_similarity(f_unaccent(lower($2)), ${TEXTO_BUSCA_PRODUTO}) >= $3)
+      ORDER BY ${TEXTO_BUSCA_PRODUTO} LIKE f_unaccent(lower($1)) || '%' DESC,
+               word_similarity(f_unaccent(lower($2)), ${TEXTO_BUSCA_PRODUTO}) DESC,
+               p.nome ASC
+      LIMIT 10
+    `, [termo.replace(/[\\%_]/g, '\\$&'), termo, SIMILARIDADE_MINIMA_BUSCA]);
+    res.json(rows.map(produto => ({
+      id: produto.id,
+      nome: produto.nome,
+      barcode: produto.barcode,
+      preco: getPreco(produto),
+      estoque: Number(produto.estoque) || 0
+    })));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Erro ao buscar produtos: ' + err.message });
+  }
+});
+
+// --------- Etiquetas ---------
+// Os modelos ficam em etiquetas.json (tamanho, campos e, no PDF, o layout da folha). O arquivo é
+// relido a cada impressão, então dá para ajustar posições sem reiniciar o servidor.
+const ARQUIVO_MODELOS_ETIQUETA = path.join(__dirname, 'etiquetas.json');
+const FORMATOS_ETIQUETA = {
+  dpl: { label: 'Datamax (DPL)', extensao: 'prn' },
+  zpl: { label: 'Zebra (ZPL)', extensao: 'zpl' },
+  epl: { label: 'Eltron (EPL)', extensao: 'epl' },
+  pdf: { label: 'PDF (folha A4)', extensao: 'pdf' }
+};
+
+function carregarModelosEtiqueta() {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(ARQUIVO_MODELOS_ETIQUETA, 'utf8'));
+  } catch (err) {
+    throw new Error(`Não foi possível ler etiquetas.json: ${err.message}`);
+  }
+  const modelos = Array.isArray(config.modelos) ? config.modelos : [];
+  modelos.forEach(m => {
+    const folhaOk = m.formato !== 'pdf' || (m.folha && m.folha.colunas > 0 && m.folha.linhas > 0);
+    if (!m.id || !FORMATOS_ETIQUETA[m.formato] || !(m.largura > 0) || !(m.altura > 0) || !Array.isArray(m.campos) || !folhaOk) {
+      throw new Error(`Modelo de etiqueta inválido em etiquetas.json: ${m.id || m.nome || '(sem id)'}`);
+    }
+  });
+  return modelos;
+}
+
+// Texto de um campo com os dados do produto ({nome}, {preco}, {codigo}, {descricao}, {id})
+function textoEtiqueta(campo, produto) {
+  const dados = {
+    nome: produto.nome || '',
+    preco: Number(getPreco(produto)).toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 }),
+    codigo: produto.barcode || '',
+    descricao: produto.descricao || '',
+    id: produto.id
+  };
+  const texto = String(campo.valor || '').replace(/\{(\w+)\}/g, (m, chave) => (chave in dados ? dados[chave] : m));
+  return campo.max ? texto.substring(0, campo.max) : texto;
+}
+
+// EAN-13 nos códigos atuais; os antigos de 12 dígitos saem em Interleaved 2 of 5, como sempre saíram.
+// `dados` é o que vai para a impressora: no EAN só os 12 primeiros dígitos (ela calcula o verificador).
+function codigoBarrasEtiqueta(produto) {
+  const codigo = String(produto.barcode || formatBarcodeFromId(produto.id));
+  if (codigo.length === 13 && gtinValido(codigo)) return { ean: true, codigo, dados: codigo.slice(0, 12) };
+  const digitos = codigo.replace(/\D/g, '');
+  return { ean: false, codigo, dados: digitos.length % 2 ? '0' + digitos : digitos }; // ITF exige nº par de dígitos
+}
+
+const mmParaPontos = (mm, dpi) => Math.round(mm / 25.4 * dpi);
+const limitar = (v, min, max) => Math.min(max, Math.max(min, v));
+
+// Datamax DPL: medidas em centésimos de polegada, linha contada a partir da base da etiqueta
+function etiquetaDpl(modelo, produto, copias) {
+  const dpi = modelo.dpi || 203;
+  const pol = mm => Math.max(0, Math.round(mm / 0.254));
+  const num = (v, n) => String(v).padStart(n, '0').slice(-n);
+  const linhas = ['L', 'D11'];
+  modelo.campos.forEach(c => {
+    const posicao = num(pol(modelo.altura - c.y - c.altura), 4) + num(pol(c.x), 4);
+    if (c.tipo === 'barras') {
+      const { ean, dados } = codigoBarrasEtiqueta(produto);
+      const estreita = c.modulo ? limitar(mmParaPontos(c.modulo, dpi), 1, 9) : 0;
+      const larga = c.modulo && !ean ? limitar(Math.round(estreita * 2.5), 1, 9) : 0;
+      const tipo = c.legenda === false ? (ean ? 'f' : 'd') : (ean ? 'F' : 'D');
+      linhas.push(`1${tipo}${larga}${estreita}${num(pol(c.altura), 3)}${posicao}${dados}`);
+    } else {
+      const mult = limitar(c.multiplicador || Math.round(mmParaPontos(c.altura, dpi) / 18), 1, 9);
+      linhas.push(`1${c.fonte || '2'}${mult}${mult}000${posicao}${textoEtiqueta(c, produto)}`);
+    }
+  });
+  linhas.push('^01', `Q${num(copias, 4)}`, 'E');
+  return linhas.join('\n') + '\n';
+}
+
+// Zebra ZPL: medidas em pontos da impressora, fonte 0 escalável, texto em UTF-8 (^CI28)
+function etiquetaZpl(modelo, produto, copias) {
+  const pt = mm => mmParaPontos(mm, modelo.dpi || 203);
+  const limpar = t => t.replace(/[\^~]/g, ' ');
+  const linhas = ['^XA', '^CI28', `^PW${pt(modelo.largura)}`, `^LL${pt(modelo.altura)}`];
+  modelo.campos.forEach(c => {
+    const origem = `^FO${pt(c.x)},${pt(c.y)}`;
+    if (c.tipo === 'barras') {
+      const { ean, dados } = codigoBarrasEtiqueta(produto);
+      const legenda = c.legenda === false ? 'N' : 'Y';
+      const simbologia = ean ? `^BEN,${pt(c.altura)},${legenda},N` : `^B2N,${pt(c.altura)},${legenda},N,N`;
+      linhas.push(`${origem}^BY${Math.max(1, pt(c.modulo || 0.25))}${simbologia}^FD${dados}^FS`);
+    } else {
+      linhas.push(`${origem}^A${c.fonte || '0'}N,${pt(c.altura)},0^FD${limpar(textoEtiqueta(c, produto))}^FS`);
+    }
+  });
+  linhas.push(`^PQ${copias}`, '^XZ');
+  return linhas.join('\n') + '\n';
+}
+
+// EPL: fontes residentes de altura fixa (em pontos a 203 dpi), ampliadas por multiplicador
+const ALTURA_FONTES_EPL = { 1: 12, 2: 16, 3: 20, 4: 24, 5: 48 };
+
+function etiquetaEpl(modelo, produto, copias) {
+  const pt = mm => mmParaPontos(mm, modelo.dpi || 203);
+  const aspas = t => t.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+  const linhas = ['', 'N', `q${pt(modelo.largura)}`, `Q${pt(modelo.altura)},24`];
+  modelo.campos.forEach(c => {
+    if (c.tipo === 'barras') {
+      const { ean, dados } = codigoBarrasEtiqueta(produto);
+      const estreita = Math.max(1, pt(c.modulo || 0.25));
+      const larga = ean ? estreita : Math.round(estreita * 2.5);
+      linhas.push(`B${pt(c.x)},${pt(c.y)},0,${ean ? 'E30' : '2'},${estreita},${larga},${pt(c.altura)},${c.legenda === false ? 'N' : 'B'},"${dados}"`);
+    } else {
+      const fonte = c.fonte || '2';
+      const mult = limitar(c.multiplicador || Math.round(pt(c.altura) / (ALTURA_FONTES_EPL[fonte] || 16)), 1, 8);
+      linhas.push(`A${pt(c.x)},${pt(c.y)},0,${fonte},${mult},${mult},N,"${aspas(textoEtiqueta(c, produto))}"`);
+    }
+  });
+  linhas.push(`P${copias}`);
+  return linhas.join('\n') + '\n';
+}
+
+// Módulos (1 = barra, 0 = espaço) de um EAN-13 completo
+function modulosEan13(codigo) {
+  const L = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+  const R = L.map(p => p.replace(/./g, b => (b === '1' ? '0' : '1')));
+  const G = R.map(p => p.split('').reverse().join(''));
+  const PARIDADE = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+  const d = codigo.split('').map(Number);
+  let m = '101';
+  for (let i = 1; i <= 6; i++) m += (PARIDADE[d[0]][i - 1] === 'L' ? L : G)[d[i]];
+  m += '01010';
+  for (let i = 7; i <= 12; i++) m += R[d[i]];
+  return m + '101';
+}
+
+// Módulos de um Interleaved 2 of 5 (barra larga = 3 módulos): pares de dígitos, barras e espaços intercalados
+function modulosItf(digitos) {
+  const P = ['nnwwn', 'wnnnw', 'nwnnw', 'wwnnn', 'nnwnw', 'wnwnn', 'nwwnn', 'nnnww', 'wnnwn', 'nwnwn'];
+  let m = '1010';
+  for (let i = 0; i < digitos.length; i += 2) {
+    const barras = P[digitos[i]], espacos = P[digitos[i + 1]];
+    for (let k = 0; k < 5; k++) {
+      m += (barras[k] === 'w' ? '111' : '1') + (espacos[k] === 'w' ? '000' : '0');
+    }
+  }
+  return m + '11101';
+}
+
+function desenharEtiquetaPdf(doc, modelo, produto, x0, y0) {
+  const pt = mm => mm * 72 / 25.4;
+  modelo.campos.forEach(c => {
+    const x = x0 + pt(c.x), y = y0 + pt(c.y);
+    const larguraUtil = pt(modelo.largura - c.x - 1);
+    if (c.tipo === 'barras') {
+      const { ean, codigo, dados } = codigoBarrasEtiqueta(produto);
+      const modulos = ean ? modulosEan13(codigo) : modulosItf(dados);
+      // Encolhe o módulo se o código não couber na etiqueta
+      const larguraModulo = Math.min(pt(c.modulo || 0.33), larguraUtil / modulos.length);
+      for (let i = 0; i < modulos.length; i++) {
+        if (modulos[i] !== '1') continue;
+        let j = i;
+        while (modulos[j] === '1') j++;
+        doc.rect(x + i * larguraModulo, y, (j - i) * larguraModulo, pt(c.altura)).fill('#000');
+        i = j;
+      }
+      if (c.legenda !== false) {
+        doc.font('Helvetica').fontSize(pt(2.2)).fillColor('#000')
+          .text(codigo, x, y + pt(c.altura) + pt(0.4), { width: modulos.length * larguraModulo, align: 'center', lineBreak: false });
+      }
+    } else {
+      doc.font(c.negrito ? 'Helvetica-Bold' : 'Helvetica').fontSize(pt(c.altura)).fillColor('#000');
+      let texto = textoEtiqueta(c, produto);
+      while (doc.widthOfString(texto) > larguraUtil && texto.length > 1) {
+        texto = texto.slice(0, texto.length - 2) + '…';
+      }
+      doc.text(texto, x, y, { lineBreak: false });
+    }
+  });
+}
+
+// Folha de etiquetas adesivas: preenche coluna a coluna, linha a linha, a partir da posição `inicio`
+// (para reaproveitar folhas já usadas em parte)
+function etiquetasPdf(doc, modelo, itens, inicio) {
+  const pt = mm => mm * 72 / 25.4;
+  const f = modelo.folha;
+  const porFolha = f.colunas * f.linhas;
+  let pos = limitar((parseInt(inicio) || 1) - 1, 0, porFolha - 1);
+  itens.forEach(({ produto, copias }) => {
+    for (let i = 0; i < copias; i++) {
+      if (pos === porFolha) { doc.addPage(); pos = 0; }
+      const coluna = pos % f.colunas, linha = Math.floor(pos / f.colunas);
+      const x0 = pt((f.margem_esquerda || 0) + coluna * (modelo.largura + (f.espaco_horizontal || 0)));
+      const y0 = pt((f.margem_superior || 0) + linha * (modelo.altura + (f.espaco_vertical || 0)));
+      if (f.contorno) doc.rect(x0, y0, pt(modelo.largura), pt(modelo.altura)).lineWidth(0.3).strokeColor('#bbb').stroke();
+      desenharEtiquetaPdf(doc, modelo, produto, x0, y0);
+      pos++;
+    }
+  });
+}
+
+// Registra a versão da etiqueta que foi impressa. O trigger produtos_etiqueta_desatualizada
+// incrementa etiqueta_versao e desmarca etiquetas_impressas quando nome ou preço mudam.
+async function marcarEtiquetasImpressas(ids) {
+  await pool.query(
+    `UPDATE produtos
+     SET etiquetas_impressas = true, etiqueta_versao_impressa = etiqueta_versao, etiqueta_impressa_em = CURRENT_TIMESTAMP
+     WHERE id = ANY($1::int[])`,
+    [ids]
+  );
+}
+
+// Gera um único trabalho de impressão com `copias` etiquetas de cada produto
+function enviarEtiquetas(res, modelo, itens, { nomeArquivo = 'etiquetas', inicio } = {}) {
+  res.attachment(`${nomeArquivo}.${FORMATOS_ETIQUETA[modelo.formato].extensao}`);
+  if (modelo.formato === 'pdf') {
+    const doc = new PDFDocument({ size: modelo.folha.pagina || 'A4', margin: 0 });
+    res.setHeader('Content-Type', 'application/pdf');
+    doc.pipe(res);
+    etiquetasPdf(doc, modelo, itens, inicio);
+    doc.end();
+    return;
+  }
+  const gerar = { dpl: etiquetaDpl, zpl: etiquetaZpl, epl: etiquetaEpl }[modelo.formato];
+  res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+  res.send(itens.map(({ produto, copias }) => gerar(modelo, produto, copias)).join(''));
+}
+
+app.get('/produtos/etiqueta/:id', requireAuth, requirePermissao('etiquetas.imprimir'), async (req, res) => {
   try {
     const produtoId = req.params.id;
 
     const result = await pool.query(
-      `SELECT p.id, p.nome, p.barcode, p.valor_venda, p.valor_unitario, COALESCE(e.quantidade, 0) AS quantidade
+      `SELECT p.id, p.nome, p.barcode, p.valor_venda, p.valor_unitario, p.descricao, COALESCE(e.quantidade, 0) AS quantidade,
+              ${SQL_PRECO_PROGRAMADO} AS preco_programado
        FROM produtos p
        LEFT JOIN estoque e ON p.id = e.id_produto
        WHERE p.id = $1`,
@@ -478,46 +2637,84 @@ app.get('/produtos/etiqueta/:id', requireAuth, async (req, res) => {
     }
 
     const produto = result.rows[0];
-    const barcode = formatBarcodeFromId(produto.id);
+    const modelos = carregarModelosEtiqueta();
+    const modelo = modelos.find(m => m.id === req.query.modelo) || modelos[0];
+    if (!modelo) throw new Error('Nenhum modelo de etiqueta configurado em etiquetas.json.');
 
     const qParam = Number(req.query.quantidade);
     let quantidade = Number.isFinite(qParam) ? qParam : Number(produto.quantidade) || 0;
     quantidade = Math.max(1, Math.trunc(quantidade));
 
-    const nome = (produto.nome || '').substring(0, 30);
-    const preco = getPreco(produto);
+    await marcarEtiquetasImpressas([produto.id]);
 
-    let prnContent = '';
-    for (let i = 0; i < quantidade; i++) {
-      prnContent += `L
-   D11
-    122100000950020${nome}
-    121100000650020R$ ${preco}
-    1D0004000100040${barcode}
-    ^01
-    Q0001
-   E
+    enviarEtiquetas(res, modelo, [{ produto, copias: quantidade }], { nomeArquivo: `etiqueta_${produtoId}` });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Erro ao gerar etiqueta: ' + err.message);
+  }
+});
 
+// Impressão em lote: escolhe produtos, cópias e modelo e gera um único arquivo
+app.get('/etiquetas', requireAuth, requirePermissao('etiquetas.imprimir'), async (req, res) => {
+  let modelos = [];
+  let err = req.query.err || null;
+  try {
+    modelos = carregarModelosEtiqueta();
+  } catch (e) {
+    err = e.message;
+  }
+  try {
+    const { rows: produtos } = await pool.query(`
+      SELECT p.id, p.nome, p.barcode, p.etiquetas_impressas, p.etiqueta_versao, p.etiqueta_versao_impressa,
+             COALESCE(e.quantidade, 0) AS quantidade
+      FROM produtos p
+      LEFT JOIN estoque e ON p.id = e.id_produto
+      WHERE p.arquivado_em IS NULL
+      ORDER BY p.nome ASC
+    `);
+    // ?pendentes=1 (vindo do filtro da tela de produtos) já abre com as pendentes selecionadas
+    res.render('etiquetas', { produtos, modelos, formatos: FORMATOS_ETIQUETA, err, pendentes: req.query.pendentes === '1' });
+  } catch (e) {
+    console.error(e);
+    res.status(500).send('Erro ao carregar produtos para etiquetas');
+  }
+});
 
-`;
+app.post('/etiquetas/gerar', requireAuth, requirePermissao('etiquetas.imprimir'), async (req, res) => {
+  try {
+    const modelo = carregarModelosEtiqueta().find(m => m.id === req.body.modelo);
+    if (!modelo) throw new Error('Selecione um modelo de etiqueta.');
+
+    // Só chegam as linhas marcadas na tela: produtos = ids, copias_<id> = quantidade
+    const copias = new Map();
+    for (const id of [].concat(req.body.produtos || [])) {
+      const n = parseInt(req.body[`copias_${id}`]);
+      if (!(parseInt(id) > 0) || !(n > 0)) continue;
+      if (n > 1000) throw new Error('Máximo de 1000 etiquetas por produto em um mesmo trabalho.');
+      copias.set(parseInt(id), n);
     }
-    await pool.query(
-      'UPDATE produtos SET etiquetas_impressas = true WHERE id = $1',
-      [produtoId]
-    );
+    if (!copias.size) throw new Error('Selecione ao menos um produto.');
 
-    
-    res.setHeader('Content-Disposition', `attachment; filename=etiqueta_${produtoId}.prn`);
-    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
-    res.send(prnContent);
+    const { rows } = await pool.query(
+      `SELECT p.id, p.nome, p.barcode, p.valor_venda, p.valor_unitario, p.descricao, ${SQL_PRECO_PROGRAMADO} AS preco_programado
+       FROM produtos p
+       WHERE p.id = ANY($1::int[])
+       ORDER BY p.nome ASC`,
+      [[...copias.keys()]]
+    );
+    if (!rows.length) throw new Error('Nenhum dos produtos selecionados foi encontrado.');
 
+    if (req.body.marcar_impressas) {
+      await marcarEtiquetasImpressas(rows.map(p => p.id));
+    }
+    enviarEtiquetas(res, modelo, rows.map(produto => ({ produto, copias: copias.get(produto.id) })), { inicio: req.body.inicio });
   } catch (err) {
     console.error(err);
-    res.status(500).send('Erro ao gerar etiqueta: ' + err.message);
+    res.redirect('/etiquetas?err=' + encodeURIComponent(err.message));
   }
 });
 
-app.post('/produtos/toggle-impresso/:id', async (req, res) => {
+app.post('/produtos/toggle-impresso/:id', requireAuth, requirePermissao('etiquetas.imprimir'), async (req, res) => {
   try {
     const produtoId = req.params.id;
 
@@ -532,12 +2729,13 @@ app.post('/produtos/toggle-impresso/:id', async (req, res) => {
     }
 
     const atual = result.rows[0].etiquetas_impressas;
-    const novoStatus = !atual; // inverte
 
-    await pool.query(
-      'UPDATE produtos SET etiquetas_impressas = $1 WHERE id = $2',
-      [novoStatus, produtoId]
-    );
+    // Marcar à mão conta como impressão da versão atual
+    if (atual) {
+      await pool.query('UPDATE produtos SET etiquetas_impressas = false WHERE id = $1', [produtoId]);
+    } else {
+      await marcarEtiquetasImpressas([parseInt(produtoId)]);
+    }
 
     res.redirect('/produtos');
   } catch (err) {
@@ -548,41 +2746,162 @@ app.post('/produtos/toggle-impresso/:id', async (req, res) => {
 
 
 
-// --------- Clientes ---------
-app.get('/clientes', requireAuth, async (req, res) => {
+// --------- Categorias ---------
+app.get('/categorias', requireAuth, requirePermissao('categorias.gerenciar'), async (req, res) => {
+  try {
+    res.render('categorias', { categorias: await carregarCategorias(pool), msg: req.query.msg || '', err: req.query.err || '' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Erro ao listar categorias');
+  }
+});
+
+// Nome repetido no mesmo nível cai no índice categorias_pai_nome_key
+function erroCategoria(err) {
+  return err.code === '23505' ? 'Já existe uma categoria com esse nome nesse nível.' : err.message;
+}
+
+app.post('/categorias', requireAuth, requirePermissao('categorias.gerenciar'), async (req, res) => {
+  try {
+    const nome = (req.body.nome || '').trim();
+    if (!nome) throw new Error('Informe o nome da categoria.');
+    const { rows: [nova] } = await pool.query(
+      'INSERT INTO categorias (nome, id_pai) VALUES ($1, $2) RETURNING id, nome, id_pai',
+      [nome, lerIdCategoria(req.body.id_pai)]
+    );
+    await registrarAuditoria(pool, req, {
+      entidade: 'CATEGORIA', id_entidade: nova.id, acao: 'CRIAR', depois: { nome: nova.nome, id_pai: nova.id_pai }
+    });
+    res.redirect('/categorias?msg=' + encodeURIComponent(`Categoria "${nome}" criada.`));
+  } catch (err) {
+    console.error(err);
+    res.redirect('/categorias?err=' + encodeURIComponent(erroCategoria(err)));
+  }
+});
+
+app.post('/categorias/editar/:id', requireAuth, requirePermissao('categorias.gerenciar'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const nome = (req.body.nome || '').trim();
+    const idPai = lerIdCategoria(req.body.id_pai);
+    if (!nome) throw new Error('Informe o nome da categoria.');
+    // não pode virar filha de si mesma nem de uma subcategoria sua
+    if (idPai) {
+      const ciclo = await pool.query(`SELECT 1 WHERE ${sqlCategoriaOuSubcategorias('$1::int', 2)}`, [idPai, id]);
+      if (ciclo.rowCount) throw new Error('Uma categoria não pode ficar dentro dela mesma ou de uma subcategoria sua.');
+    }
+    const { rows: [anterior] } = await pool.query('SELECT nome, id_pai FROM categorias WHERE id = $1', [id]);
+    if (!anterior) throw new Error('Categoria não encontrada.');
+    await pool.query('UPDATE categorias SET nome = $1, id_pai = $2 WHERE id = $3', [nome, idPai, id]);
+    await registrarAuditoria(pool, req, {
+      entidade: 'CATEGORIA', id_entidade: id, acao: 'EDITAR', antes: anterior, depois: { nome, id_pai: idPai }
+    });
+    res.redirect('/categorias?msg=' + encodeURIComponent('Categoria atualizada.'));
+  } catch (err) {
+    console.error(err);
+    res.redirect('/categorias?err=' + encodeURIComponent(erroCategoria(err)));
+  }
+});
+
+// Excluir uma categoria passa as subcategorias e os produtos dela para a categoria pai
+app.post('/categorias/deletar/:id', requireAuth, requirePermissao('categorias.gerenciar'), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query('SELECT id, nome, id_pai FROM categorias WHERE id = $1 FOR UPDATE', [req.params.id]);
+    if (!rows.length) throw new Error('Categoria não encontrada.');
+    const categoria = rows[0];
+    await client.query('UPDATE categorias SET id_pai = $1 WHERE id_pai = $2', [categoria.id_pai, categoria.id]);
+    await client.query('UPDATE produtos SET id_categoria = $1 WHERE id_categoria = $2', [categoria.id_pai, categoria.id]);
+    await client.query('DELETE FROM categorias WHERE id = $1', [categoria.id]);
+    await registrarAuditoria(client, req, {
+      entidade: 'CATEGORIA', id_entidade: categoria.id, acao: 'EXCLUIR', antes: { nome: categoria.nome, id_pai: categoria.id_pai }
+    });
+    await client.query('COMMIT');
+    res.redirect('/categorias?msg=' + encodeURIComponent(`Categoria "${categoria.nome}" excluída.`));
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error(err);
+    res.redirect('/categorias?err=' + encodeURIComponent(erroCategoria(err)));
+  } finally {
+    client.release();
+  }
+});
+
+// --------- Clientes ---------
+// Filtro da lista de clientes (reaproveitado na exportação): ativos ou, com situacao = 'arquivados', os arquivados
+function filtroClientes(search, situacao) {
+  const arquivados = situacao === 'arquivados' ? ' WHERE arquivado_em IS NOT NULL' : ' WHERE arquivado_em IS NULL';
+  if (!search) return { where: arquivados, params: [] };
+  const cleanedSearch = search.replace(/[\.-]/g, '').trim();
+  return {
+    where: arquivados + ' AND (nome ILIKE $1 OR email ILIKE $1 OR cpf ILIKE $2)',
+    params: [`%${search}%`, `%${cleanedSearch}%`]
+  };
+}
+
+// CPF já usado: avisa quando o dono está arquivado, para restaurar em vez de cadastrar de novo
+async function conferirCpfLivre(cpf, idAtual = null) {
+  const { rows } = await pool.query(
+    'SELECT id, arquivado_em FROM clientes WHERE cpf = $1 AND ($2::int IS NULL OR id != $2) LIMIT 1',
+    [cpf, idAtual]
+  );
+  if (!rows.length) return;
+  if (rows[0].arquivado_em) throw new Error('CPF pertence a um cliente arquivado; restaure-o em Arquivados.');
+  throw new Error(idAtual ? 'CPF já cadastrado para outro cliente' : 'CPF já cadastrado');
+}
+
+const COLUNAS_CLIENTES = { nome: 'nome', cpf: 'cpf', email: 'email', telefone: 'telefone' };
+
+app.get('/clientes', requireAuth, requirePermissao('clientes.ver'), async (req, res) => {
   try {
     const search = req.query.search || '';
+    const situacao = req.query.situacao === 'arquivados' ? 'arquivados' : '';
     const error = req.query.error || '';
     const formData = req.query.formData ? JSON.parse(decodeURIComponent(req.query.formData)) : {};
-    let query = 'SELECT * FROM clientes';
-    let queryParams = [];
-    if (search) {
-      const cleanedSearch = search.replace(/[\.-]/g, '').trim();
-      query += ' WHERE nome ILIKE $1 OR email ILIKE $1 OR cpf ILIKE $2';
-      queryParams.push(`%${search}%`, `%${cleanedSearch}%`);
-    }
-    const result = await pool.query(query, queryParams);
-    res.render('clientes', { clientes: result.rows, search, error, formData });
+    const filtro = filtroClientes(search, situacao);
+    const pag = lerPaginacao(req.query, COLUNAS_CLIENTES, 'nome');
+    const { rows: [{ total }] } = await pool.query('SELECT COUNT(*)::int AS total FROM clientes' + filtro.where, filtro.params);
+    const paginacao = montarPaginacao('/clientes', { search, situacao }, pag, total);
+    const n = filtro.params.length;
+    const result = await pool.query(
+      `SELECT * FROM clientes${filtro.where} ORDER BY ${pag.orderSql}, id ASC LIMIT $${n + 1} OFFSET $${n + 2}`,
+      [...filtro.params, paginacao.tamanho, paginacao.offset]
+    );
+    res.render('clientes', { clientes: result.rows, search, error, msg: req.query.msg || '', formData, paginacao });
   } catch (err) {
     console.error(err);
     res.status(500).send('Erro ao listar clientes');
   }
 });
 
-app.post('/clientes', requireAuth, async (req, res) => {
+// Exportação (XLSX/CSV) respeitando a busca atual
+app.get('/clientes/exportar', requireAuth, requirePermissao('clientes.ver'), async (req, res) => {
+  try {
+    const filtro = filtroClientes(req.query.search || '', req.query.situacao);
+    const { orderSql } = lerPaginacao(req.query, COLUNAS_CLIENTES, 'nome');
+    const { rows } = await pool.query(`SELECT * FROM clientes${filtro.where} ORDER BY ${orderSql}, id ASC`, filtro.params);
+    enviarPlanilha(res, 'clientes', req.query.formato, [
+      ['ID', 'Nome', 'CPF', 'Email', 'Telefone', 'Endereço'],
+      ...rows.map(c => [c.id, c.nome, c.cpf, c.email, c.telefone, c.endereco])
+    ]);
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Erro ao exportar clientes');
+  }
+});
+
+app.post('/clientes', requireAuth, requirePermissao('clientes.editar'), async (req, res) => {
   const { nome, cpf, email, telefone, endereco } = req.body;
   try {
     if (!nome) throw new Error('Nome é obrigatório');
     const cleanedCPF = cleanAndValidateCPF(cpf);
-    const cpfCheck = await pool.query('SELECT id FROM clientes WHERE cpf = $1', [cleanedCPF]);
-    if (cpfCheck.rows.length > 0) {
-      const formData = { nome, cpf, email, telefone, endereco };
-      return res.redirect(`/clientes?error=${encodeURIComponent('CPF já cadastrado')}&formData=${encodeURIComponent(JSON.stringify(formData))}`);
-    }
-    await pool.query(
-      'INSERT INTO clientes (nome, cpf, email, telefone, endereco) VALUES ($1, $2, $3, $4, $5)',
+    await conferirCpfLivre(cleanedCPF);
+    const { rows: [novo] } = await pool.query(
+      'INSERT INTO clientes (nome, cpf, email, telefone, endereco) VALUES ($1, $2, $3, $4, $5) RETURNING id',
       [nome, cleanedCPF, email || null, telefone || null, endereco || null]
     );
+    await registrarAuditoria(pool, req, { entidade: 'CLIENTE', id_entidade: novo.id, acao: 'CRIAR', depois: await fotoCliente(pool, novo.id) });
     res.redirect('/clientes');
   } catch (err) {
     console.error(err);
@@ -591,20 +2910,21 @@ app.post('/clientes', requireAuth, async (req, res) => {
   }
 });
 
-app.post('/clientes/editar/:id', requireAuth, async (req, res) => {
+app.post('/clientes/editar/:id', requireAuth, requirePermissao('clientes.editar'), async (req, res) => {
   const { nome, cpf, email, telefone, endereco } = req.body;
   try {
     if (!nome) throw new Error('Nome é obrigatório');
     const cleanedCPF = cleanAndValidateCPF(cpf);
-    const cpfCheck = await pool.query('SELECT id FROM clientes WHERE cpf = $1 AND id != $2', [cleanedCPF, req.params.id]);
-    if (cpfCheck.rows.length > 0) {
-      const formData = { nome, cpf, email, telefone, endereco };
-      return res.redirect(`/clientes?error=${encodeURIComponent('CPF já cadastrado para outro cliente')}&formData=${encodeURIComponent(JSON.stringify(formData))}`);
-    }
+    await conferirCpfLivre(cleanedCPF, req.params.id);
+    const antes = await fotoCliente(pool, req.params.id);
+    if (!antes) throw new Error('Cliente não encontrado');
     await pool.query(
       'UPDATE clientes SET nome = $1, cpf = $2, email = $3, telefone = $4, endereco = $5, updated_at = CURRENT_TIMESTAMP WHERE id = $6',
       [nome, cleanedCPF, email || null, telefone || null, endereco || null, req.params.id]
     );
+    await registrarAuditoria(pool, req, {
+      entidade: 'CLIENTE', id_entidade: Number(req.params.id), acao: 'EDITAR', antes, depois: await fotoCliente(pool, req.params.id)
+    });
     res.redirect('/clientes');
   } catch (err) {
     console.error(err);
@@ -613,22 +2933,70 @@ app.post('/clientes/editar/:id', requireAuth, async (req, res) => {
   }
 });
 
-app.post('/clientes/deletar/:id', requireAuth, async (req, res) => {
+// Cliente arquivado some da lista e da busca da venda; as vendas antigas continuam com o nome dele
+app.post('/clientes/arquivar/:id', requireAuth, requirePermissao('clientes.arquivar'), async (req, res) => {
   try {
-    await pool.query('DELETE FROM clientes WHERE id = $1', [req.params.id]);
-    res.redirect('/clientes');
+    const { rows } = await pool.query(
+      'UPDATE clientes SET arquivado_em = CURRENT_TIMESTAMP WHERE id = $1 AND arquivado_em IS NULL RETURNING nome',
+      [req.params.id]
+    );
+    if (!rows.length) throw new Error('Cliente não encontrado ou já arquivado.');
+    await registrarAuditoria(pool, req, { entidade: 'CLIENTE', id_entidade: Number(req.params.id), acao: 'ARQUIVAR', depois: rows[0] });
+    res.redirect('/clientes?msg=' + encodeURIComponent('Cliente arquivado.'));
+  } catch (err) {
+    console.error(err);
+    res.redirect('/clientes?error=' + encodeURIComponent(err.message));
+  }
+});
+
+app.post('/clientes/restaurar/:id', requireAuth, requirePermissao('clientes.arquivar'), async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      'UPDATE clientes SET arquivado_em = NULL WHERE id = $1 AND arquivado_em IS NOT NULL RETURNING nome',
+      [req.params.id]
+    );
+    if (!rows.length) throw new Error('Cliente não encontrado ou não está arquivado.');
+    await registrarAuditoria(pool, req, { entidade: 'CLIENTE', id_entidade: Number(req.params.id), acao: 'RESTAURAR', depois: rows[0] });
+    res.redirect('/clientes?situacao=arquivados&msg=' + encodeURIComponent('Cliente restaurado.'));
+  } catch (err) {
+    console.error(err);
+    res.redirect('/clientes?situacao=arquivados&error=' + encodeURIComponent(err.message));
+  }
+});
+
+// Exclusão definitiva: só com clientes.excluir e só para cliente arquivado sem vendas
+app.post('/clientes/deletar/:id', requireAuth, requirePermissao('clientes.excluir'), async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT nome, arquivado_em, EXISTS (SELECT 1 FROM vendas v WHERE v.id_cliente = c.id) AS com_vendas
+       FROM clientes c WHERE c.id = $1`,
+      [req.params.id]
+    );
+    if (!rows.length) throw new Error('Cliente não encontrado.');
+    if (!rows[0].arquivado_em) throw new Error(`Arquive ${rows[0].nome} antes de excluí-lo definitivamente.`);
+    if (rows[0].com_vendas) throw new Error(`${rows[0].nome} tem vendas registradas e não pode ser excluído; arquive-o.`);
+    // confere de novo no DELETE: uma venda (ou uma restauração) pode ter entrado no meio
+    const { rows: [antes] } = await pool.query(
+      `DELETE FROM clientes c
+       WHERE c.id = $1 AND c.arquivado_em IS NOT NULL AND NOT EXISTS (SELECT 1 FROM vendas v WHERE v.id_cliente = c.id)
+       RETURNING nome, cpf, email, telefone, endereco, arquivado_em`,
+      [req.params.id]
+    );
+    if (!antes) throw new Error(`${rows[0].nome} tem vendas registradas e não pode ser excluído; arquive-o.`);
+    await registrarAuditoria(pool, req, { entidade: 'CLIENTE', id_entidade: Number(req.params.id), acao: 'EXCLUIR', antes });
+    res.redirect('/clientes?situacao=arquivados&msg=' + encodeURIComponent(`${rows[0].nome} excluído definitivamente.`));
   } catch (err) {
     console.error(err);
-    res.status(500).send('Erro ao deletar cliente: ' + err.message);
+    res.redirect('/clientes?situacao=arquivados&error=' + encodeURIComponent(err.message));
   }
 });
 
-app.get('/clientes/buscar', requireAuth, async (req, res) => {
+app.get('/clientes/buscar', requireAuth, requirePermissao('clientes.ver', 'vendas.criar'), async (req, res) => {
   try {
     const search = req.query.search || '';
     const cleanedSearch = search.replace(/[\.-]/g, '').trim();
     const result = await pool.query(
-      'SELECT id, nome, cpf FROM clientes WHERE nome ILIKE $1 OR email ILIKE $1 OR cpf ILIKE $2 LIMIT 10',
+      'SELECT id, nome, cpf FROM clientes WHERE arquivado_em IS NULL AND (nome ILIKE $1 OR email ILIKE $1 OR cpf ILIKE $2) LIMIT 10',
       [`%${search}%`, `%${cleanedSearch}%`]
     );
     res.json(result.rows.map(cliente => ({
@@ -642,19 +3010,19 @@ app.get('/clientes/buscar', requireAuth, async (req, res) => {
   }
 });
 
-app.post('/clientes/novo', requireAuth, async (req, res) => {
+app.post('/clientes/novo', requireAuth, requirePermissao('clientes.editar', 'vendas.criar'), async (req, res) => {
   const { nome, cpf, email, telefone, endereco } = req.body;
   try {
     if (!nome) throw new Error('Nome é obrigatório');
     const cleanedCPF = cleanAndValidateCPF(cpf);
-    const cpfCheck = await pool.query('SELECT id FROM clientes WHERE cpf = $1', [cleanedCPF]);
-    if (cpfCheck.rows.length > 0) throw new Error('CPF já cadastrado');
+    await conferirCpfLivre(cleanedCPF);
 
     const result = await pool.query(
       'INSERT INTO clientes (nome, cpf, email, telefone, endereco) VALUES ($1, $2, $3, $4, $5) RETURNING id, nome, cpf',
       [nome, cleanedCPF, email || null, telefone || null, endereco || null]
     );
     const cliente = result.rows[0];
+    await registrarAuditoria(pool, req, { entidade: 'CLIENTE', id_entidade: cliente.id, acao: 'CRIAR', depois: await fotoCliente(pool, cliente.id) });
     res.json({
       id: cliente.id,
       nome: cliente.nome,
@@ -668,36 +3036,59 @@ app.post('/clientes/novo', requireAuth, async (req, res) => {
 
 // --------- Vendas ---------
 // --------- Vendas (lista com filtros + status normalizado) ---------
-app.get('/vendas', requireAuth, async (req, res) => {
-  try {
-    const cliente = (req.query.cliente || '').trim();
-    const status = (req.query.status || '').trim().toUpperCase(); // '', 'CONCLUIDA', 'CANCELADA'
-
-    const where = [];
-    const params = [];
-    let i = 1;
-
-    if (cliente) {
-      const cpfDigits = cliente.replace(/\D/g, '');
+// Filtros da lista de vendas (reaproveitados na exportação)
+function filtroVendas(query) {
+  const cliente = (query.cliente || '').trim();
+  const status = (query.status || '').trim().toUpperCase(); // '', 'CONCLUIDA', 'CANCELADA'
+
+  const where = [];
+  const params = [];
+  let i = 1;
+
+  if (cliente) {
+    const cpfDigits = cliente.replace(/\D/g, '');
+    if (cpfDigits) {
       where.push(`(c.nome ILIKE $${i} OR regexp_replace(c.cpf, '[^0-9]', '', 'g') LIKE $${i + 1})`);
       params.push(`%${cliente}%`, `%${cpfDigits}%`);
       i += 2;
+    } else {
+      where.push(`c.nome ILIKE $${i}`);
+      params.push(`%${cliente}%`);
+      i += 1;
     }
+  }
 
-    if (status === 'CANCELADA') {
-      where.push(`UPPER(v.status) LIKE 'CANCEL%'`);
-    } else if (status === 'CONCLUIDA') {
-      where.push(`(v.status IS NULL OR UPPER(v.status) NOT LIKE 'CANCEL%')`);
-    }
+  if (status === 'CANCELADA') {
+    where.push(`UPPER(v.status) LIKE 'CANCEL%'`);
+  } else if (status === 'CONCLUIDA') {
+    where.push(`(v.status IS NULL OR UPPER(v.status) NOT LIKE 'CANCEL%')`);
+  }
 
-    const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+  return { cliente, status, params, whereSql: where.length ? `WHERE ${where.join(' AND ')}` : '' };
+}
+
+const COLUNAS_VENDAS = {
+  data: 'v.data_venda',
+  cliente: 'c.nome',
+  total: 'v.total - COALESCE(v.total_devolvido, 0)'
+};
+
+app.get('/vendas', requireAuth, requirePermissao('vendas.criar', 'vendas.ver'), async (req, res) => {
+  try {
+    const { cliente, status, params, whereSql } = filtroVendas(req.query);
+    const pag = lerPaginacao(req.query, COLUNAS_VENDAS, 'data', 'desc');
+    const { rows: [{ total }] } = await pool.query(
+      `SELECT COUNT(*)::int AS total FROM vendas v LEFT JOIN clientes c ON c.id = v.id_cliente ${whereSql}`,
+      params
+    );
+    const paginacao = montarPaginacao('/vendas', { cliente, status }, pag, total);
 
     const rs = await pool.query(
       `
       SELECT
         v.id,
         v.data_venda,
-        v.total,
+        v.total - COALESCE(v.total_devolvido, 0) AS total,
         CASE
           WHEN v.status IS NULL THEN 'CONCLUIDA'
           WHEN UPPER(v.status) LIKE 'CANCEL%' THEN 'CANCELADA'
@@ -707,17 +3098,21 @@ app.get('/vendas', requireAuth, async (req, res) => {
       FROM vendas v
       LEFT JOIN clientes c ON c.id = v.id_cliente
       ${whereSql}
-      ORDER BY v.data_venda DESC NULLS LAST, v.id DESC
-      LIMIT 200
+      ORDER BY ${pag.orderSql}, v.id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
       `,
-      params
+      [...params, paginacao.tamanho, paginacao.offset]
     );
 
     res.render('vendas', {
       vendas: rs.rows,
+      caixa: await getCaixaAberto(pool, req.session.usuario.id),
+      formasPagamento: FORMAS_PAGAMENTO,
+      descontoMaximo: req.descontoMaximo,
       error: req.query.error || '',
       formData: req.query.formData ? JSON.parse(decodeURIComponent(req.query.formData)) : {},
-      filtros: { cliente, status: status || '' }
+      filtros: { cliente, status: status || '' },
+      paginacao
     });
   } catch (err) {
     console.error(err);
@@ -727,21 +3122,86 @@ app.get('/vendas', requireAuth, async (req, res) => {
 
 
 
-app.post('/vendas', requireAuth, async (req, res) => {
-  const { id_cliente, itens } = req.body;
+// Exportação (XLSX/CSV) com os mesmos filtros e ordem da lista, sem paginar
+app.get('/vendas/exportar', requireAuth, requirePermissao('vendas.ver'), async (req, res) => {
+  try {
+    const { params, whereSql } = filtroVendas(req.query);
+    const { orderSql } = lerPaginacao(req.query, COLUNAS_VENDAS, 'data', 'desc');
+    const { rows } = await pool.query(
+      `
+      SELECT
+        v.id,
+        v.data_venda,
+        CASE
+          WHEN v.status IS NULL THEN 'CONCLUIDA'
+          WHEN UPPER(v.status) LIKE 'CANCEL%' THEN 'CANCELADA'
+          ELSE v.status
+        END AS status,
+        c.nome AS cliente_nome,
+        c.cpf AS cliente_cpf,
+        COALESCE(v.desconto, 0)
+          + COALESCE((SELECT SUM(iv.desconto) FROM itens_venda iv WHERE iv.id_venda = v.id), 0) AS desconto,
+        COALESCE(v.total_devolvido, 0) AS total_devolvido,
+        v.total - COALESCE(v.total_devolvido, 0) AS total,
+        (SELECT string_agg(DISTINCT pg.forma, ', ') FROM pagamentos_venda pg WHERE pg.id_venda = v.id) AS formas
+      FROM vendas v
+      LEFT JOIN clientes c ON c.id = v.id_cliente
+      ${whereSql}
+      ORDER BY ${orderSql}, v.id DESC
+      `,
+      params
+    );
+    enviarPlanilha(res, 'vendas', req.query.formato, [
+      ['ID', 'Data', 'Cliente', 'CPF', 'Status', 'Pagamento', 'Desconto', 'Devolvido', 'Total'],
+      ...rows.map(v => [
+        v.id,
+        v.data_venda ? new Date(v.data_venda).toLocaleString('pt-BR') : '',
+        v.cliente_nome || 'Sem cliente',
+        v.cliente_cpf || '',
+        v.status,
+        (v.formas || '').split(', ').filter(Boolean).map(f => FORMAS_PAGAMENTO[f] || f).join(', '),
+        Number(v.desconto),
+        Number(v.total_devolvido),
+        Number(v.total)
+      ])
+    ]);
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Erro ao exportar vendas');
+  }
+});
+
+app.post('/vendas', requireAuth, requirePermissao('vendas.criar'), async (req, res) => {
+  const { id_cliente, itens, pagamentos } = req.body;
+  const wantsJson = req.accepts(['html', 'json']) === 'json';
 const user_id = req.session.usuario.id;
+  const descontoMaximo = req.descontoMaximo;
+  const client = await pool.connect();
   try {
     if (!itens || !Array.isArray(itens) || itens.length === 0) {
       throw new Error('Nenhum item adicionado à venda');
     }
-    await pool.query('BEGIN');
+    await client.query('BEGIN');
+
+    // Sem caixa aberto não há venda; o lock impede fechar o caixa no meio da venda
+    const caixa = await getCaixaAberto(client, user_id, { lock: true });
+    if (!caixa) throw new Error('Abra o caixa antes de registrar vendas.');
+
+    if (id_cliente) {
+      const c = await client.query('SELECT nome, arquivado_em FROM clientes WHERE id = $1 FOR SHARE', [id_cliente]);
+      if (!c.rowCount) throw new Error('Cliente não encontrado');
+      if (c.rows[0].arquivado_em) throw new Error(`Cliente ${c.rows[0].nome} está arquivado`);
+    }
 
-    const vendaResult = await pool.query(
-      'INSERT INTO vendas (id_cliente, total, id_usuario) VALUES ($1, $2, $3) RETURNING id',
-      [id_cliente || null, 0, user_id]
+    const vendaResult = await client.query(
+      'INSERT INTO vendas (id_cliente, total, id_usuario, id_caixa) VALUES ($1, $2, $3, $4) RETURNING id',
+      [id_cliente || null, 0, user_id, caixa.id]
     );
     const id_venda = vendaResult.rows[0].id;
     let total = 0;
+    let bruto = 0;
+    const alertas_estoque = [];
+    const vendidos = []; // resumo para a auditoria
 
     for (const item of itens) {
       if (!item.barcode || !item.quantidade) {
@@ -752,48 +3212,101 @@ const user_id = req.session.usuario.id;
         throw new Error(`Quantidade inválida para o item com código ${item.barcode}`);
       }
 
-      const produtoResult = await pool.query(
-        `SELECT p.id, p.nome, p.valor_venda, p.valor_unitario, e.quantidade AS estoque
-         FROM produtos p
-         LEFT JOIN estoque e ON p.id = e.id_produto
-         WHERE p.barcode = $1`,
-        [item.barcode]
-      );
-      if (produtoResult.rows.length === 0) {
+      const produto = await buscarProdutoPorCodigo(client, item.barcode);
+      if (!produto) {
         throw new Error(`Produto com código de barras ${item.barcode} não encontrado`);
       }
-      const produto = produtoResult.rows[0];
+      if (produto.arquivado_em) {
+        throw new Error(`Produto ${produto.nome} está arquivado e não pode ser vendido`);
+      }
       if (produto.estoque < quantidade) {
         throw new Error(`Estoque insuficiente para o produto ${produto.nome} (Código: ${item.barcode})`);
       }
 
-      const preco_unitario = Number(produto.valor_venda || produto.valor_unitario || 0);
+      const preco_unitario = Number(getPreco(produto));
       const subtotal = quantidade * preco_unitario;
-      total += subtotal;
+      const desconto_tipo = item.desconto_tipo || null;
+      const desconto = calcularDesconto(subtotal, desconto_tipo, item.desconto_valor);
+      if (subtotal > 0 && desconto / subtotal * 100 > descontoMaximo + 0.001) {
+        throw new Error(`Desconto em ${produto.nome} acima do seu limite de ${descontoMaximo}%.`);
+      }
+      bruto += subtotal;
+      total += subtotal - desconto;
 
-      await pool.query(
-        'INSERT INTO itens_venda (id_venda, id_produto, quantidade, preco_unitario) VALUES ($1, $2, $3, $4)',
-        [id_venda, produto.id, quantidade, preco_unitario]
+      // custo_unitario congela o custo do momento da venda (margem não muda com reajustes futuros)
+      await client.query(
+        `INSERT INTO itens_venda (id_venda, id_produto, quantidade, preco_unitario, desconto_tipo, desconto_valor, desconto, custo_unitario)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [id_venda, produto.id, quantidade, preco_unitario, desconto ? desconto_tipo : null, desconto ? item.desconto_valor : null, desconto, produto.valor_unitario]
       );
-      await pool.query(
-        'UPDATE estoque SET quantidade = quantidade - $1, updated_at = CURRENT_TIMESTAMP WHERE id_produto = $2',
-        [quantidade, produto.id]
+      vendidos.push({ id_produto: produto.id, nome: produto.nome, quantidade, preco_unitario, desconto });
+      const saldo = await movimentarEstoque(client, {
+        id_produto: produto.id,
+        tipo: 'VENDA',
+        quantidade: -quantidade,
+        id_usuario: user_id,
+        id_venda
+      });
+      // Avisa só quando esta venda cruza o mínimo (o mesmo produto pode vir em mais de uma linha)
+      if (produto.estoque_minimo > 0 && saldo < produto.estoque_minimo && saldo + quantidade >= produto.estoque_minimo) {
+        alertas_estoque.push({ id_produto: produto.id, nome: produto.nome, saldo, minimo: produto.estoque_minimo });
+      }
+    }
+
+    // Desconto na venda inteira, aplicado sobre o total já com descontos dos itens
+    const descontoVenda = calcularDesconto(total, req.body.desconto_tipo || null, req.body.desconto_valor);
+    total = centavos(total - descontoVenda);
+    if (bruto > 0 && (bruto - total) / bruto * 100 > descontoMaximo + 0.001) {
+      throw new Error(`Desconto total da venda acima do seu limite de ${descontoMaximo}%.`);
+    }
+
+    const { linhas, troco } = calcularPagamentos(pagamentos, total);
+    for (const pg of linhas) {
+      await client.query(
+        'INSERT INTO pagamentos_venda (id_venda, forma, valor, valor_recebido) VALUES ($1, $2, $3, $4)',
+        [id_venda, pg.forma, pg.valor, pg.valor_recebido]
       );
     }
 
-    await pool.query('UPDATE vendas SET total = $1 WHERE id = $2', [total, id_venda]);
-    await pool.query('COMMIT');
+    const atualizada = await client.query(
+      `UPDATE vendas SET total = $1, troco = $2, desconto_tipo = $3, desconto_valor = $4, desconto = $5
+       WHERE id = $6 RETURNING id, data_venda, total, status`,
+      [total, troco, descontoVenda ? req.body.desconto_tipo : null, descontoVenda ? req.body.desconto_valor : null, descontoVenda, id_venda]
+    );
+    await registrarAuditoria(client, req, {
+      entidade: 'VENDA', id_entidade: id_venda, acao: 'CRIAR',
+      depois: {
+        id_cliente: id_cliente ? Number(id_cliente) : null,
+        total,
+        desconto: descontoVenda,
+        itens: vendidos,
+        pagamentos: linhas.map(pg => ({ forma: pg.forma, valor: pg.valor }))
+      }
+    });
+    await client.query('COMMIT');
+
+    if (wantsJson) {
+      let cliente_nome = null;
+      if (id_cliente) {
+        const c = await pool.query('SELECT nome FROM clientes WHERE id = $1', [id_cliente]);
+        cliente_nome = c.rowCount ? c.rows[0].nome : null;
+      }
+      return res.json({ ...atualizada.rows[0], troco, cliente_nome, alertas_estoque });
+    }
     res.redirect(`/vendas/recibo/${id_venda}`);
   } catch (err) {
-    await pool.query('ROLLBACK');
+    await client.query('ROLLBACK').catch(() => {});
     console.error(err);
+    if (wantsJson) return res.status(400).json({ error: err.message });
     const formData = { id_cliente, cliente_nome: req.body.cliente_nome || '', itens: itens || [] };
     res.redirect(`/vendas?error=${encodeURIComponent(err.message)}&formData=${encodeURIComponent(JSON.stringify(formData))}`);
+  } finally {
+    client.release();
   }
 });
 
 // Detalhes da venda (JSON para o modal), com status normalizado
-app.get('/vendas/:id/json', requireAuth, async (req, res) => {
+app.get('/vendas/:id/json', requireAuth, requirePermissao('vendas.ver', 'vendas.devolver', 'vendas.reverter'), async (req, res) => {
   const { id } = req.params;
   try {
     const v = await pool.query(
@@ -801,7 +3314,11 @@ app.get('/vendas/:id/json', requireAuth, async (req, res) => {
       SELECT
         v.id,
         v.data_venda,
-        v.total,
+        v.total AS total_bruto,
+        COALESCE(v.total_devolvido, 0) AS total_devolvido,
+        v.total - COALESCE(v.total_devolvido, 0) AS total,
+        COALESCE(v.troco, 0) AS troco,
+        COALESCE(v.desconto, 0) AS desconto,
         CASE
           WHEN v.status IS NULL THEN 'CONCLUIDA'
           WHEN UPPER(v.status) LIKE 'CANCEL%' THEN 'CANCELADA'
@@ -819,7 +3336,8 @@ app.get('/vendas/:id/json', requireAuth, async (req, res) => {
 
     const itens = await pool.query(
       `
-      SELECT p.nome, iv.quantidade, iv.preco_unitario
+      SELECT iv.id, p.nome, p.barcode, iv.quantidade, iv.quantidade_devolvida, iv.preco_unitario, iv.id_devolucao,
+             COALESCE(iv.desconto, 0) AS desconto
       FROM itens_venda iv
       JOIN produtos p ON p.id = iv.id_produto
       WHERE iv.id_venda = $1
@@ -828,7 +3346,33 @@ app.get('/vendas/:id/json', requireAuth, async (req, res) => {
       [id]
     );
 
-    res.json({ ...v.rows[0], itens: itens.rows });
+    const devolucoes = await pool.query(
+      `
+      SELECT d.id, d.created_at, d.motivo, d.valor_devolvido, d.valor_trocado, u.nome AS usuario_nome
+      FROM devolucoes d
+      LEFT JOIN usuarios u ON u.id = d.id_usuario
+      WHERE d.id_venda = $1
+      ORDER BY d.id ASC
+      `,
+      [id]
+    );
+
+    const pagamentos = await pool.query(
+      `
+      SELECT forma, valor, valor_recebido
+      FROM pagamentos_venda
+      WHERE id_venda = $1
+      ORDER BY id ASC
+      `,
+      [id]
+    );
+
+    res.json({
+      ...v.rows[0],
+      itens: itens.rows,
+      devolucoes: devolucoes.rows,
+      pagamentos: pagamentos.rows.map(p => ({ ...p, forma_nome: FORMAS_PAGAMENTO[p.forma] || p.forma }))
+    });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Erro ao carregar venda' });
@@ -837,7 +3381,7 @@ app.get('/vendas/:id/json', requireAuth, async (req, res) => {
 
 
 // Reverter venda (cancelar + devolver estoque) — já no formato app.post
-app.post('/vendas/:id/reverter', requireAuth, async (req, res) => {
+app.post('/vendas/:id/reverter', requireAuth, requirePermissao('vendas.reverter'), async (req, res) => {
   const { id } = req.params;
   const client = await pool.connect();
 
@@ -845,7 +3389,7 @@ app.post('/vendas/:id/reverter', requireAuth, async (req, res) => {
     await client.query('BEGIN');
 
     const v = await client.query(
-      `SELECT id, status, id_cliente, total, data_venda
+      `SELECT id, status, id_cliente, total, total_devolvido, data_venda
        FROM vendas WHERE id = $1 FOR UPDATE`,
       [id]
     );
@@ -860,49 +3404,485 @@ app.post('/vendas/:id/reverter', requireAuth, async (req, res) => {
       return res.status(400).json({ error: 'Venda já está cancelada.' });
     }
 
-    const itens = await client.query(
-      `SELECT id_produto, quantidade
-       FROM itens_venda WHERE id_venda = $1`,
-      [id]
-    );
+    // O dinheiro que a venda deixou na gaveta (pagamentos em dinheiro + diferenças de troca - restituições
+    // já feitas) volta ao cliente pelo caixa aberto de quem cancela, como ESTORNO. A venda continua nos
+    // totais do caixa em que foi feita; o estorno é que tira o dinheiro.
+    const { rows: [emDinheiro] } = await client.query(
+      `SELECT
+         COALESCE((SELECT SUM(valor) FROM pagamentos_venda WHERE id_venda = $1 AND forma = 'DINHEIRO'), 0)
+         + COALESCE((SELECT SUM(CASE WHEN m.tipo = 'TROCA' THEN m.valor ELSE -m.valor END)
+                     FROM caixa_movimentos m
+                     JOIN devolucoes d ON d.id = m.id_devolucao
+                     WHERE d.id_venda = $1 AND m.tipo IN ('TROCA', 'DEVOLUCAO')), 0) AS valor`,
+      [id]
+    );
+    const estorno = Math.max(0, centavos(emDinheiro.valor));
+    let id_caixa = null;
+    if (estorno > 0) {
+      const caixa = await getCaixaAberto(client, req.session.usuario.id, { lock: true });
+      if (!caixa) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: `Abra o caixa para devolver R$ ${estorno.toFixed(2)} em dinheiro ao cliente.` });
+      }
+      const { esperado } = await resumoCaixa(client, caixa);
+      if (estorno > esperado) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: `Dinheiro em caixa (R$ ${esperado.toFixed(2)}) insuficiente para devolver R$ ${estorno.toFixed(2)}.` });
+      }
+      await client.query(
+        `INSERT INTO caixa_movimentos (id_caixa, tipo, valor, motivo, id_usuario, id_venda)
+         VALUES ($1, 'ESTORNO', $2, $3, $4, $5)`,
+        [caixa.id, estorno, `Venda #${venda.id} cancelada`, req.session.usuario.id, venda.id]
+      );
+      id_caixa = caixa.id;
+    }
+
+    // Itens já devolvidos voltaram ao estoque na devolução; estorna só o restante
+    const itens = await client.query(
+      `SELECT id_produto, quantidade - quantidade_devolvida AS quantidade
+       FROM itens_venda WHERE id_venda = $1 AND quantidade > quantidade_devolvida`,
+      [id]
+    );
+
+    for (const it of itens.rows) {
+      await movimentarEstoque(client, {
+        id_produto: it.id_produto,
+        tipo: 'ESTORNO',
+        quantidade: it.quantidade,
+        id_usuario: req.session.usuario.id,
+        id_venda: venda.id,
+        motivo: 'Venda revertida'
+      });
+    }
+
+    await client.query(`UPDATE vendas SET status = 'CANCELADA' WHERE id = $1`, [id]);
+    await registrarAuditoria(client, req, {
+      entidade: 'VENDA', id_entidade: venda.id, acao: 'CANCELAR',
+      antes: { status: venda.status || 'CONCLUIDA' },
+      depois: {
+        status: 'CANCELADA',
+        estoque_estornado: itens.rows.map(it => ({ id_produto: it.id_produto, quantidade: it.quantidade })),
+        dinheiro_estornado: estorno,
+        id_caixa
+      }
+    });
+
+    let cliente_nome = null;
+    if (venda.id_cliente) {
+      const c = await client.query('SELECT nome FROM clientes WHERE id = $1', [venda.id_cliente]);
+      cliente_nome = c.rowCount ? c.rows[0].nome : null;
+    }
+
+    await client.query('COMMIT');
+
+    res.json({
+      id: venda.id,
+      data_venda: venda.data_venda,
+      total: Number(venda.total) - Number(venda.total_devolvido || 0),
+      status: 'CANCELADA',
+      cliente_nome
+    });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error(err);
+    res.status(500).json({ error: 'Erro ao reverter a venda.' });
+  } finally {
+    client.release();
+  }
+});
+
+
+// --------- Devoluções e trocas ---------
+// Devolve parte dos itens de uma venda (e opcionalmente entrega itens em troca).
+// Body JSON: { itens: [{ id_item, quantidade }], trocas: [{ barcode, quantidade }], motivo }
+app.post('/vendas/:id/devolucao', requireAuth, requirePermissao('vendas.devolver'), async (req, res) => {
+  const { id } = req.params;
+  const itens = Array.isArray(req.body.itens) ? req.body.itens : [];
+  const trocas = Array.isArray(req.body.trocas) ? req.body.trocas : [];
+  const motivo = (req.body.motivo || '').trim() || null;
+  // como a diferença entre devolvido e trocado é acertada com o cliente (restituição ou pagamento)
+  const formaAcerto = FORMAS_PAGAMENTO[req.body.forma_acerto] ? req.body.forma_acerto : 'DINHEIRO';
+  const user_id = req.session.usuario.id;
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const v = await client.query(
+      `SELECT v.id, v.status, v.data_venda, COALESCE(v.desconto, 0) AS desconto, c.nome AS cliente_nome
+       FROM vendas v
+       LEFT JOIN clientes c ON c.id = v.id_cliente
+       WHERE v.id = $1
+       FOR UPDATE OF v`,
+      [id]
+    );
+    if (v.rowCount === 0) throw new Error('Venda não encontrada.');
+    const venda = v.rows[0];
+    if ((venda.status || '').toUpperCase().startsWith('CANCEL')) {
+      throw new Error('Venda cancelada não aceita devolução.');
+    }
+
+    const devolucao = await client.query(
+      'INSERT INTO devolucoes (id_venda, id_usuario, motivo) VALUES ($1, $2, $3) RETURNING id',
+      [venda.id, user_id, motivo]
+    );
+    const id_devolucao = devolucao.rows[0].id;
+
+    // O desconto da venda inteira é rateado proporcionalmente entre os itens originais
+    const base = await client.query(
+      'SELECT COALESCE(SUM(subtotal - desconto), 0) AS liquido FROM itens_venda WHERE id_venda = $1 AND id_devolucao IS NULL',
+      [venda.id]
+    );
+    const liquidoItens = Number(base.rows[0].liquido);
+    const fatorVenda = liquidoItens > 0 ? 1 - Number(venda.desconto) / liquidoItens : 1;
+
+    let valorDevolvido = 0;
+    let itensDevolvidos = 0;
+    for (const item of itens) {
+      const quantidade = parseInt(item.quantidade);
+      if (!quantidade) continue;
+      if (isNaN(quantidade) || quantidade < 0) throw new Error('Quantidade de devolução inválida.');
+
+      const iv = await client.query(
+        `SELECT iv.id, iv.id_produto, iv.quantidade, iv.quantidade_devolvida, iv.preco_unitario, iv.desconto, iv.id_devolucao, p.nome
+         FROM itens_venda iv
+         JOIN produtos p ON p.id = iv.id_produto
+         WHERE iv.id = $1 AND iv.id_venda = $2
+         FOR UPDATE OF iv`,
+        [item.id_item, venda.id]
+      );
+      if (iv.rowCount === 0) throw new Error('Item não pertence a esta venda.');
+      const linha = iv.rows[0];
+      const disponivel = linha.quantidade - linha.quantidade_devolvida;
+      if (quantidade > disponivel) {
+        throw new Error(`Só é possível devolver ${disponivel} unidade(s) de ${linha.nome}.`);
+      }
+
+      await client.query(
+        'UPDATE itens_venda SET quantidade_devolvida = quantidade_devolvida + $1 WHERE id = $2',
+        [quantidade, linha.id]
+      );
+      // Reembolso pelo preço efetivamente pago (com descontos do item e da venda)
+      const precoLiquido = Number(linha.preco_unitario) - Number(linha.desconto || 0) / linha.quantidade;
+      const precoReembolso = centavos(precoLiquido * (linha.id_devolucao ? 1 : fatorVenda));
+
+      await client.query(
+        `INSERT INTO itens_devolucao (id_devolucao, id_item_venda, id_produto, quantidade, preco_unitario)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [id_devolucao, linha.id, linha.id_produto, quantidade, precoReembolso]
+      );
+      await movimentarEstoque(client, {
+        id_produto: linha.id_produto,
+        tipo: 'DEVOLUCAO',
+        quantidade,
+        id_usuario: user_id,
+        id_venda: venda.id,
+        motivo
+      });
+
+      valorDevolvido += quantidade * precoReembolso;
+      itensDevolvidos += quantidade;
+    }
+    if (itensDevolvidos === 0) throw new Error('Selecione ao menos um item para devolver.');
+
+    // Itens entregues em troca entram na própria venda
+    let valorTrocado = 0;
+    for (const troca of trocas) {
+      const quantidade = parseInt(troca.quantidade);
+      if (!troca.barcode || isNaN(quantidade) || quantidade <= 0) {
+        throw new Error('Item de troca com código ou quantidade inválida.');
+      }
+      const produto = await buscarProdutoPorCodigo(client, troca.barcode);
+      if (!produto) {
+        throw new Error(`Produto com código de barras ${troca.barcode} não encontrado`);
+      }
+      if (produto.arquivado_em) {
+        throw new Error(`Produto ${produto.nome} está arquivado e não pode ser vendido`);
+      }
+      if (produto.estoque < quantidade) {
+        throw new Error(`Estoque insuficiente para o produto ${produto.nome} (Código: ${troca.barcode})`);
+      }
+
+      const preco_unitario = Number(getPreco(produto));
+      await client.query(
+        'INSERT INTO itens_venda (id_venda, id_produto, quantidade, preco_unitario, id_devolucao, custo_unitario) VALUES ($1, $2, $3, $4, $5, $6)',
+        [venda.id, produto.id, quantidade, preco_unitario, id_devolucao, produto.valor_unitario]
+      );
+      await movimentarEstoque(client, {
+        id_produto: produto.id,
+        tipo: 'TROCA',
+        quantidade: -quantidade,
+        id_usuario: user_id,
+        id_venda: venda.id,
+        motivo
+      });
+      valorTrocado += quantidade * preco_unitario;
+    }
+
+    // Acerto em dinheiro sai ou entra na gaveta do caixa aberto de quem registra a devolução
+    const diferenca = centavos(valorTrocado - valorDevolvido);
+    let id_caixa = null;
+    if (diferenca !== 0 && formaAcerto === 'DINHEIRO') {
+      const caixa = await getCaixaAberto(client, user_id, { lock: true });
+      if (!caixa) throw new Error('Abra o caixa para acertar a diferença em dinheiro.');
+      if (diferenca < 0) {
+        const { esperado } = await resumoCaixa(client, caixa);
+        if (-diferenca > esperado) {
+          throw new Error(`Dinheiro em caixa (R$ ${esperado.toFixed(2)}) insuficiente para restituir R$ ${(-diferenca).toFixed(2)}.`);
+        }
+      }
+      await client.query(
+        `INSERT INTO caixa_movimentos (id_caixa, tipo, valor, motivo, id_usuario, id_devolucao)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [caixa.id, diferenca < 0 ? 'DEVOLUCAO' : 'TROCA', Math.abs(diferenca), `Venda #${venda.id}`, user_id, id_devolucao]
+      );
+      id_caixa = caixa.id;
+    }
+
+    await client.query(
+      'UPDATE devolucoes SET valor_devolvido = $1, valor_trocado = $2, forma_acerto = $3, id_caixa = $4 WHERE id = $5',
+      [valorDevolvido, valorTrocado, diferenca !== 0 ? formaAcerto : null, id_caixa, id_devolucao]
+    );
+
+    // Tudo devolvido => DEVOLVIDA; senão, DEVOLVIDA_PARCIAL
+    const restante = await client.query(
+      'SELECT COALESCE(SUM(quantidade - quantidade_devolvida), 0)::int AS qtd FROM itens_venda WHERE id_venda = $1',
+      [venda.id]
+    );
+    const status = restante.rows[0].qtd > 0 ? 'DEVOLVIDA_PARCIAL' : 'DEVOLVIDA';
+
+    const atualizada = await client.query(
+      `UPDATE vendas
+       SET total = total + $1, total_devolvido = COALESCE(total_devolvido, 0) + $2, status = $3
+       WHERE id = $4
+       RETURNING total - total_devolvido AS total`,
+      [valorTrocado, valorDevolvido, status, venda.id]
+    );
+    await registrarAuditoria(client, req, {
+      entidade: 'VENDA', id_entidade: venda.id, acao: 'DEVOLVER',
+      antes: { status: venda.status || 'CONCLUIDA' },
+      depois: { status, id_devolucao, valor_devolvido: valorDevolvido, valor_trocado: valorTrocado, forma_acerto: formaAcerto, motivo }
+    });
+
+    await client.query('COMMIT');
+
+    res.json({
+      id_devolucao,
+      valor_devolvido: valorDevolvido,
+      valor_trocado: valorTrocado,
+      venda: {
+        id: venda.id,
+        data_venda: venda.data_venda,
+        total: atualizada.rows[0].total,
+        status,
+        cliente_nome: venda.cliente_nome
+      }
+    });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error(err);
+    res.status(400).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// Cabeçalho padrão dos documentos em talão A5 (recibo, comprovante de devolução)
+function drawCabecalhoTalao(doc, page, numero) {
+  const mm = v => v * 2.83465;
+  const primary = '#0f5132';
+  const lightGray = '#f2f2f2';
+  const fs = { xs: 8, sm: 9, md: 11, lg: 12 };
+
+  const h = mm(26);
+  doc.save().rect(page.x, page.y, page.w, h).fill(lightGray).restore();
+  doc.fillColor(primary).fontSize(fs.lg).font('Helvetica-Bold')
+    .text('Associação Hospitalar Nossa Senhora de Fátima', page.x, page.y + mm(2), {
+      width: page.w - mm(35), align: 'center'
+    });
+  doc.fillColor('#000').font('Helvetica').fontSize(fs.sm)
+    .text('Rua Frei Protásio, 431 • Centro • Praia Grande/SC',
+          page.x, page.y + mm(12),
+          { width: page.w - mm(35), align: 'center' })
+    .text('Fone: (48) 3532-0139',
+          page.x, page.y + mm(17),
+          { width: page.w - mm(35), align: 'center' })
+    .text('CNPJ: 07.420.153/0001-37',
+          page.x, page.y + mm(22),
+          { width: page.w - mm(35), align: 'center' });
+  const boxW = mm(30), boxH = mm(14);
+  const boxX = page.x + page.w - boxW;
+  const boxY = page.y + mm(6);
+  doc.roundedRect(boxX, boxY, boxW, boxH, 3)
+    .strokeColor(primary).lineWidth(1).stroke();
+  doc.font('Helvetica').fontSize(fs.xs).fillColor('#000')
+    .text('Nº', boxX + mm(2), boxY + mm(2));
+  doc.font('Helvetica-Bold').fontSize(fs.md)
+    .text(String(numero).padStart(4, '0'), boxX, boxY + mm(5), { width: boxW, align: 'center' });
+  return page.y + h;
+}
+
+// Comprovante de devolução/troca (A5, mesmo layout do recibo)
+app.get('/vendas/devolucao/:id/comprovante', requireAuth, requirePermissao('vendas.ver', 'vendas.devolver'), async (req, res) => {
+  const mm = v => v * 2.83465;
+  const BRL = v => `R$ ${Number(v || 0).toFixed(2)}`;
+  const maskCPF = v => (v || '').replace(/(\d{3})(\d{3})(\d{3})(\d{2})/, '$1.$2.$3-$4');
+
+  try {
+    const devolucaoId = req.params.id;
+
+    const { rows: dRows } = await pool.query(`
+      SELECT d.id, d.id_venda, d.created_at, d.motivo, d.valor_devolvido, d.valor_trocado, d.forma_acerto,
+             u.nome AS usuario_nome, c.nome AS cliente_nome, c.cpf AS cliente_cpf
+      FROM devolucoes d
+      JOIN vendas v ON v.id = d.id_venda
+      LEFT JOIN clientes c ON c.id = v.id_cliente
+      LEFT JOIN usuarios u ON u.id = d.id_usuario
+      WHERE d.id = $1
+    `, [devolucaoId]);
+    if (dRows.length === 0) throw new Error('Devolução não encontrada');
+    const devolucao = dRows[0];
+
+    const { rows: devolvidos } = await pool.query(`
+      SELECT p.nome, i.quantidade, i.preco_unitario
+      FROM itens_devolucao i
+      JOIN produtos p ON p.id = i.id_produto
+      WHERE i.id_devolucao = $1
+      ORDER BY i.id
+    `, [devolucaoId]);
+
+    const { rows: trocados } = await pool.query(`
+      SELECT p.nome, i.quantidade, i.preco_unitario
+      FROM itens_venda i
+      JOIN produtos p ON p.id = i.id_produto
+      WHERE i.id_devolucao = $1
+      ORDER BY i.id
+    `, [devolucaoId]);
+
+    const doc = new PDFDocument({
+      size: 'A5',
+      margins: { top: mm(10), left: mm(10), right: mm(10), bottom: mm(12) }
+    });
+
+    res.setHeader('Content-Disposition', `inline; filename=devolucao_${devolucaoId}.pdf`);
+    res.setHeader('Content-Type', 'application/pdf');
+    doc.pipe(res);
+
+    const lineGray = '#555';
+    const fs = { xs: 8, sm: 9, base: 10, md: 11 };
+    const page = {
+      x: doc.page.margins.left,
+      y: doc.page.margins.top,
+      w: doc.page.width - doc.page.margins.left - doc.page.margins.right,
+      h: doc.page.height - doc.page.margins.top - doc.page.margins.bottom
+    };
+
+    drawCabecalhoTalao(doc, page, devolucao.id);
+
+    // Meta
+    let y = page.y + mm(30);
+    const lh = mm(6);
+    doc.font('Helvetica-Bold').fontSize(fs.md).fillColor('#000')
+      .text(trocados.length ? 'COMPROVANTE DE TROCA' : 'COMPROVANTE DE DEVOLUÇÃO', page.x, y, { width: page.w, align: 'center' });
+    y += lh * 1.3;
+    const dataStr = new Date(devolucao.created_at).toLocaleDateString('pt-BR', { timeZone: 'America/Sao_Paulo' });
+    doc.font('Helvetica').fontSize(fs.base)
+      .text('Data:', page.x, y)
+      .font('Helvetica-Bold').text(dataStr, page.x + mm(18), y);
+    doc.font('Helvetica').text('Venda nº:', page.x + mm(60), y)
+      .font('Helvetica-Bold').text(String(devolucao.id_venda).padStart(4, '0'), page.x + mm(80), y);
+    y += lh;
+    doc.font('Helvetica').text('Cliente:', page.x, y)
+      .font('Helvetica-Bold').text(devolucao.cliente_nome || 'Sem cliente', page.x + mm(18), y, { width: mm(40) });
+    doc.font('Helvetica').text('CPF:', page.x + mm(60), y)
+      .font('Helvetica-Bold').text(devolucao.cliente_cpf ? maskCPF(devolucao.cliente_cpf) : '-', page.x + mm(80), y);
+    y += lh;
+    doc.font('Helvetica').text('Atendente:', page.x, y)
+      .font('Helvetica-Bold').text(devolucao.usuario_nome || '-', page.x + mm(18), y);
+    y += lh * 1.2;
+
+    const col = { qtd: mm(16), desc: page.w - mm(16 + 28 + 32), unit: mm(28), total: mm(32) };
+    const drawItens = (titulo, itens, startY) => {
+      let yy = startY;
+      doc.font('Helvetica-Bold').fontSize(fs.sm).text(titulo, page.x, yy);
+      yy += mm(5);
+      const headerH = mm(7);
+      doc.save().rect(page.x, yy, page.w, headerH).fill('#e9ecef').restore();
+      doc.lineWidth(0.8).strokeColor(lineGray).rect(page.x, yy, page.w, headerH).stroke();
+      doc.font('Helvetica-Bold').fontSize(fs.sm).fillColor('#000')
+        .text('Quant', page.x + mm(2), yy + mm(2), { width: col.qtd - mm(4) })
+        .text('DESCRIÇÃO DO ITEM', page.x + col.qtd + mm(2), yy + mm(2), { width: col.desc - mm(4) })
+        .text('VL UN', page.x + col.qtd + col.desc + mm(2), yy + mm(2), { width: col.unit - mm(4), align: 'right' })
+        .text('VALOR TOTAL', page.x + col.qtd + col.desc + col.unit + mm(2), yy + mm(2), { width: col.total - mm(4), align: 'right' });
+      yy += headerH;
+      itens.forEach(item => {
+        const desc = String(item.nome || '');
+        const descOptions = { width: col.desc - mm(4), align: 'left' };
+        const rowH = Math.max(mm(7), Math.ceil(doc.heightOfString(desc, descOptions)) + mm(2));
+        if (yy + rowH > page.y + page.h - mm(40)) {
+          doc.addPage();
+          yy = page.y;
+        }
+        doc.font('Helvetica').fontSize(fs.sm).fillColor('#000')
+          .text(String(item.quantidade), page.x + mm(2), yy + mm(1), { width: col.qtd - mm(4) });
+        doc.text(desc, page.x + col.qtd + mm(2), yy + mm(1), descOptions);
+        doc.text(BRL(item.preco_unitario), page.x + col.qtd + col.desc, yy + mm(1), { width: col.unit - mm(2), align: 'right' });
+        doc.text(BRL(Number(item.quantidade) * Number(item.preco_unitario)), page.x + col.qtd + col.desc + col.unit, yy + mm(1), { width: col.total - mm(2), align: 'right' });
+        doc.strokeColor(lineGray).lineWidth(0.6).rect(page.x, yy, page.w, rowH).stroke();
+        yy += rowH;
+      });
+      return yy + mm(3);
+    };
 
-    for (const it of itens.rows) {
-      await client.query(
-        'UPDATE estoque SET quantidade = COALESCE(quantidade,0) + $1 WHERE id_produto = $2',
-        [it.quantidade, it.id_produto]
-      );
+    y = drawItens('Itens devolvidos', devolvidos, y);
+    if (trocados.length) y = drawItens('Itens entregues em troca', trocados, y);
+
+    // Totais
+    const diferenca = Number(devolucao.valor_trocado) - Number(devolucao.valor_devolvido);
+    const labelW = page.w - mm(70);
+    const linhaTotal = (label, valor) => {
+      doc.font('Helvetica-Bold').fontSize(fs.base)
+        .text(label, page.x + labelW, y, { width: mm(45), align: 'right' })
+        .text(BRL(valor), page.x + labelW + mm(45), y, { width: mm(25), align: 'right' });
+      y += mm(5);
+    };
+    linhaTotal('Valor devolvido', devolucao.valor_devolvido);
+    if (trocados.length) linhaTotal('Valor da troca', devolucao.valor_trocado);
+    if (diferenca > 0) linhaTotal('Diferença a pagar', diferenca);
+    else if (diferenca < 0) linhaTotal('Valor a restituir', -diferenca);
+    if (diferenca !== 0 && devolucao.forma_acerto) {
+      doc.font('Helvetica').fontSize(fs.sm)
+        .text(`Acerto em ${FORMAS_PAGAMENTO[devolucao.forma_acerto] || devolucao.forma_acerto}`, page.x, y, { width: page.w, align: 'right' });
+      y = doc.y + mm(1);
     }
 
-    await client.query(`UPDATE vendas SET status = 'CANCELADA' WHERE id = $1`, [id]);
-
-    let cliente_nome = null;
-    if (venda.id_cliente) {
-      const c = await client.query('SELECT nome FROM clientes WHERE id = $1', [venda.id_cliente]);
-      cliente_nome = c.rowCount ? c.rows[0].nome : null;
+    if (devolucao.motivo) {
+      y += mm(2);
+      doc.font('Helvetica').fontSize(fs.sm).text(`Motivo: ${devolucao.motivo}`, page.x, y, { width: page.w });
+      y = doc.y;
     }
 
-    await client.query('COMMIT');
+    // Assinaturas
+    const lineY = y + mm(14);
+    const colW = (page.w - mm(8)) / 2;
+    doc.strokeColor(lineGray).lineWidth(0.8)
+      .moveTo(page.x + mm(4), lineY).lineTo(page.x + mm(4) + colW, lineY).stroke()
+      .moveTo(page.x + mm(8) + colW, lineY).lineTo(page.x + mm(8) + colW + colW, lineY).stroke();
+    doc.font('Helvetica').fontSize(fs.sm)
+      .text('Assinatura do Responsável', page.x + mm(4), lineY + mm(1), { width: colW, align: 'center' })
+      .text('Assinatura do Cliente', page.x + mm(8) + colW, lineY + mm(1), { width: colW, align: 'center' });
 
-    res.json({
-      id: venda.id,
-      data_venda: venda.data_venda,
-      total: venda.total,
-      status: 'CANCELADA',
-      cliente_nome
-    });
+    doc.end();
   } catch (err) {
-    await client.query('ROLLBACK').catch(() => {});
     console.error(err);
-    res.status(500).json({ error: 'Erro ao reverter a venda.' });
-  } finally {
-    client.release();
+    res.status(500).send('Erro ao gerar comprovante de devolução: ' + err.message);
   }
 });
 
 
 // Recibo PDF
 // Recibo estilo "talão", com linha que cresce conforme a descrição
-app.get('/vendas/recibo/:id', requireAuth, async (req, res) => {
+app.get('/vendas/recibo/:id', requireAuth, requirePermissao('vendas.ver', 'vendas.criar'), async (req, res) => {
   const mm = v => v * 2.83465;
   const BRL = v => `R$ ${Number(v || 0).toFixed(2)}`;
   const maskCPF = v => (v || '').replace(/(\d{3})(\d{3})(\d{3})(\d{2})/, '$1.$2.$3-$4');
@@ -911,7 +3891,8 @@ app.get('/vendas/recibo/:id', requireAuth, async (req, res) => {
     const vendaId = req.params.id;
 
     const vendaResult = await pool.query(`
-      SELECT v.id, v.data_venda, v.total, c.nome AS cliente_nome, c.cpf AS cliente_cpf
+      SELECT v.id, v.data_venda, v.total, COALESCE(v.troco, 0) AS troco, COALESCE(v.desconto, 0) AS desconto,
+             v.desconto_tipo, v.desconto_valor, c.nome AS cliente_nome, c.cpf AS cliente_cpf
       FROM vendas v
       LEFT JOIN clientes c ON v.id_cliente = c.id
       WHERE v.id = $1
@@ -919,7 +3900,8 @@ app.get('/vendas/recibo/:id', requireAuth, async (req, res) => {
     if (vendaResult.rows.length === 0) throw new Error('Venda não encontrada');
 
     const itensResult = await pool.query(`
-      SELECT p.nome, i.quantidade, i.preco_unitario
+      SELECT p.nome, i.quantidade, i.preco_unitario, COALESCE(i.desconto, 0) AS desconto, i.desconto_tipo, i.desconto_valor,
+             i.id_devolucao
       FROM itens_venda i
       JOIN produtos p ON i.id_produto = p.id
       WHERE i.id_venda = $1
@@ -927,7 +3909,17 @@ app.get('/vendas/recibo/:id', requireAuth, async (req, res) => {
     `, [vendaId]);
 
     const venda = vendaResult.rows[0];
-    const itens = itensResult.rows;
+    // Itens entregues em troca entram na venda depois, sem pagamento próprio: vão numa seção à parte
+    // para o total do recibo bater com os pagamentos
+    const itens = itensResult.rows.filter(i => !i.id_devolucao);
+    const trocas = itensResult.rows.filter(i => i.id_devolucao);
+
+    const { rows: pagamentos } = await pool.query(`
+      SELECT forma, valor_recebido
+      FROM pagamentos_venda
+      WHERE id_venda = $1
+      ORDER BY id
+    `, [vendaId]);
 
     const PDFDocument = require('pdfkit');
     const doc = new PDFDocument({
@@ -952,32 +3944,7 @@ app.get('/vendas/recibo/:id', requireAuth, async (req, res) => {
     };
 
     function drawHeader() {
-      const h = mm(26);
-      doc.save().rect(page.x, page.y, page.w, h).fill(lightGray).restore();
-      doc.fillColor(primary).fontSize(fs.lg).font('Helvetica-Bold')
-        .text('Associação Hospitalar Nossa Senhora de Fátima', page.x, page.y + mm(2), {
-          width: page.w - mm(35), align: 'center'
-        });
-      doc.fillColor('#000').font('Helvetica').fontSize(fs.sm)
-        .text('Rua Frei Protásio, 431 • Centro • Praia Grande/SC',
-              page.x, page.y + mm(12),
-              { width: page.w - mm(35), align: 'center' })
-        .text('Fone: (48) 3532-0139',
-              page.x, page.y + mm(17),
-              { width: page.w - mm(35), align: 'center' })
-        .text('CNPJ: 07.420.153/0001-37',
-              page.x, page.y + mm(22),
-              { width: page.w - mm(35), align: 'center' });
-      const boxW = mm(30), boxH = mm(14);
-      const boxX = page.x + page.w - boxW;
-      const boxY = page.y + mm(6);
-      doc.roundedRect(boxX, boxY, boxW, boxH, 3)
-        .strokeColor(primary).lineWidth(1).stroke();
-      doc.font('Helvetica').fontSize(fs.xs).fillColor('#000')
-        .text('Nº', boxX + mm(2), boxY + mm(2));
-      doc.font('Helvetica-Bold').fontSize(fs.md)
-        .text(String(venda.id).padStart(4, '0'), boxX, boxY + mm(5), { width: boxW, align: 'center' });
-      return page.y + h;
+      return drawCabecalhoTalao(doc, page, venda.id);
     }
 
     function drawMeta(yStart) {
@@ -999,7 +3966,7 @@ app.get('/vendas/recibo/:id', requireAuth, async (req, res) => {
       return y + lh * 2.5;
     }
 
-    function drawTable(startY) {
+    function drawTable(startY, lista) {
       const col = {
         qtd: mm(16),
         desc: page.w - mm(16 + 28 + 32),
@@ -1019,9 +3986,11 @@ app.get('/vendas/recibo/:id', requireAuth, async (req, res) => {
       const bottomLimit = page.y + page.h - mm(45);
       let totalGeral = 0;
       const drawRow = (item) => {
-        const subtotal = Number(item.quantidade) * Number(item.preco_unitario);
+        const subtotal = Number(item.quantidade) * Number(item.preco_unitario) - Number(item.desconto);
         totalGeral += subtotal;
-        const desc = String(item.nome || '');
+        const desc = String(item.nome || '') + (Number(item.desconto) > 0
+          ? `\nDesconto ${item.desconto_tipo === 'PERCENTUAL' ? Number(item.desconto_valor) + '% ' : ''}-${BRL(item.desconto)}`
+          : '');
         const descOptions = { width: col.desc - mm(4), align: 'left' };
         const textHeight = Math.ceil(doc.heightOfString(desc, descOptions));
         const rowH = Math.max(minRowH, textHeight + mm(2));
@@ -1041,146 +4010,1068 @@ app.get('/vendas/recibo/:id', requireAuth, async (req, res) => {
             .text('VALOR TOTAL', page.x + col.qtd + col.desc + col.unit + mm(2), newStartY + mm(2), { width: col.total - mm(4), align: 'right' });
           y = newStartY + headerH;
         }
-        doc.strokeColor('#ddd').lineWidth(0.5).moveTo(page.x, y).lineTo(page.x + page.w, y).stroke();
-        doc.font('Helvetica').fontSize(fs.sm).fillColor('#000')
-          .text(String(item.quantidade), page.x + mm(2), y + mm(1), { width: col.qtd - mm(4) });
-        doc.text(desc, page.x + col.qtd + mm(2), y + mm(1), descOptions);
-        doc.text(BRL(item.preco_unitario), page.x + col.qtd + col.desc, y + mm(1), { width: col.unit - mm(2), align: 'right' });
-        doc.text(BRL(subtotal), page.x + col.qtd + col.desc + col.unit, y + mm(1), { width: col.total - mm(2), align: 'right' });
-        doc.strokeColor(lineGray).lineWidth(0.6).rect(page.x, y, page.w, rowH).stroke();
-        doc.moveTo(page.x + col.qtd, y).lineTo(page.x + col.qtd, y + rowH).stroke();
-        doc.moveTo(page.x + col.qtd + col.desc, y).lineTo(page.x + col.qtd + col.desc, y + rowH).stroke();
-        doc.moveTo(page.x + col.qtd + col.desc + col.unit, y).lineTo(page.x + col.qtd + col.desc + col.unit, y + rowH).stroke();
-        y += rowH;
-      };
-      itens.forEach(drawRow);
-      return { y, total: totalGeral };
+        doc.strokeColor('#ddd').lineWidth(0.5).moveTo(page.x, y).lineTo(page.x + page.w, y).stroke();
+        doc.font('Helvetica').fontSize(fs.sm).fillColor('#000')
+          .text(String(item.quantidade), page.x + mm(2), y + mm(1), { width: col.qtd - mm(4) });
+        doc.text(desc, page.x + col.qtd + mm(2), y + mm(1), descOptions);
+        doc.text(BRL(item.preco_unitario), page.x + col.qtd + col.desc, y + mm(1), { width: col.unit - mm(2), align: 'right' });
+        doc.text(BRL(subtotal), page.x + col.qtd + col.desc + col.unit, y + mm(1), { width: col.total - mm(2), align: 'right' });
+        doc.strokeColor(lineGray).lineWidth(0.6).rect(page.x, y, page.w, rowH).stroke();
+        doc.moveTo(page.x + col.qtd, y).lineTo(page.x + col.qtd, y + rowH).stroke();
+        doc.moveTo(page.x + col.qtd + col.desc, y).lineTo(page.x + col.qtd + col.desc, y + rowH).stroke();
+        doc.moveTo(page.x + col.qtd + col.desc + col.unit, y).lineTo(page.x + col.qtd + col.desc + col.unit, y + rowH).stroke();
+        y += rowH;
+      };
+      lista.forEach(drawRow);
+      return { y, total: totalGeral };
+    }
+
+    function drawTrocas(y) {
+      if (!trocas.length) return y;
+      const devolucoes = [...new Set(trocas.map(t => t.id_devolucao))].map(id => '#' + id).join(', ');
+      doc.font('Helvetica-Bold').fontSize(fs.base).fillColor('#000')
+        .text(`Itens entregues em troca (devolução ${devolucoes})`, page.x, y + mm(2));
+      const tabela = drawTable(doc.y + mm(1), trocas);
+      const labelW = page.w - mm(40);
+      doc.font('Helvetica-Bold').fontSize(fs.sm)
+        .text('Subtotal da troca', page.x + labelW - mm(30), tabela.y + mm(2), { width: mm(50), align: 'right' })
+        .text(BRL(tabela.total), page.x + labelW + mm(20), tabela.y + mm(2), { width: mm(20), align: 'right' });
+      return tabela.y + mm(8);
+    }
+
+    function drawTotals(y, total) {
+      const labelW = page.w - mm(40);
+      if (Number(venda.desconto) > 0) {
+        const pct = venda.desconto_tipo === 'PERCENTUAL' ? ` (${Number(venda.desconto_valor)}%)` : '';
+        doc.font('Helvetica').fontSize(fs.sm)
+          .text('Subtotal', page.x + labelW - mm(30), y + mm(2), { width: mm(50), align: 'right' })
+          .text(BRL(total), page.x + labelW + mm(20), y + mm(2), { width: mm(20), align: 'right' });
+        y += mm(4.5);
+        doc.text(`Desconto na venda${pct}`, page.x + labelW - mm(30), y + mm(2), { width: mm(50), align: 'right' })
+          .text('-' + BRL(venda.desconto), page.x + labelW + mm(20), y + mm(2), { width: mm(20), align: 'right' });
+        y += mm(5);
+        total = Number(total) - Number(venda.desconto);
+      }
+      doc.font('Helvetica-Bold').fontSize(fs.md)
+        .text('TOTAL', page.x + labelW, y + mm(2), { width: mm(20), align: 'right' })
+        .text(BRL(total), page.x + labelW + mm(20), y + mm(2), { width: mm(20), align: 'right' });
+      return y + mm(10);
+    }
+
+    function drawPagamentos(y) {
+      if (!pagamentos.length) return y;
+      const labelW = page.w - mm(70);
+      const linha = (label, valor) => {
+        doc.font('Helvetica').fontSize(fs.sm).fillColor('#000')
+          .text(label, page.x + labelW, y, { width: mm(45), align: 'right' })
+          .text(BRL(valor), page.x + labelW + mm(45), y, { width: mm(25), align: 'right' });
+        y += mm(4.5);
+      };
+      pagamentos.forEach(p => linha(FORMAS_PAGAMENTO[p.forma] || p.forma, p.valor_recebido));
+      if (Number(venda.troco) > 0) linha('Troco', venda.troco);
+      return y;
+    }
+
+    function drawSignatures(y) {
+      const lineY = y + mm(14);
+      const colW = (page.w - mm(8)) / 2;
+      doc.strokeColor(lineGray).lineWidth(0.8)
+        .moveTo(page.x + mm(4), lineY).lineTo(page.x + mm(4) + colW, lineY).stroke()
+        .moveTo(page.x + mm(8) + colW, lineY).lineTo(page.x + mm(8) + colW + colW, lineY).stroke();
+      doc.font('Helvetica').fontSize(fs.sm)
+        .text('Assinatura do Responsável', page.x + mm(4), lineY + mm(1), { width: colW, align: 'center' })
+        .text('Assinatura do Cliente', page.x + mm(8) + colW, lineY + mm(1), { width: colW, align: 'center' });
+      return lineY + mm(10);
+    }
+
+    function drawFooter(y) {
+      const text = 'AS MERCADORIAS NÃO PODERÃO SER UTILIZADAS PARA VENDA NO COMÉRCIO, SOB PENA ' +
+                   'DE APREENSÃO POR PARTE DAS AUTORIDADES COMPETENTES.';
+      doc.font('Helvetica').fontSize(fs.xs).fillColor('#666')
+        .text(text, page.x, y + mm(2), { width: page.w, align: 'justify' });
+    }
+
+    drawHeader();
+    const metaEnd = drawMeta(page.y + mm(24));
+    const table = drawTable(metaEnd + mm(3), itens);
+    const afterTotal = drawTotals(table.y + mm(2), table.total);
+    const afterPagamentos = drawTrocas(drawPagamentos(afterTotal));
+    const afterSign = drawSignatures(afterPagamentos + mm(2));
+    drawFooter(afterSign);
+
+    doc.end();
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Erro ao gerar recibo: ' + err.message);
+  }
+});
+// --------- Caixa ---------
+// Cada usuário opera no máximo um caixa ABERTO; as vendas ficam vinculadas a ele.
+
+// Movimentos de dinheiro fora das vendas. Sangria e suprimento são lançados à mão; DEVOLUCAO
+// (restituição ao cliente) e TROCA (diferença paga pelo cliente) vêm das devoluções acertadas em dinheiro;
+// ESTORNO é o dinheiro devolvido ao cancelar uma venda.
+const MOVIMENTOS_CAIXA = {
+  SANGRIA: { nome: 'Sangria', sinal: -1 },
+  SUPRIMENTO: { nome: 'Suprimento', sinal: 1 },
+  DEVOLUCAO: { nome: 'Restituição de devolução', sinal: -1 },
+  TROCA: { nome: 'Diferença de troca', sinal: 1 },
+  ESTORNO: { nome: 'Estorno de venda cancelada', sinal: -1 }
+};
+
+async function getCaixaAberto(db, id_usuario, { lock = false } = {}) {
+  const { rows } = await db.query(
+    `SELECT * FROM caixas WHERE id_usuario = $1 AND status = 'ABERTO'${lock ? ' FOR UPDATE' : ''}`,
+    [id_usuario]
+  );
+  return rows[0] || null;
+}
+
+// Totais do caixa: vendas por forma de pagamento, movimentos e o dinheiro esperado na gaveta.
+// Vendas canceladas continuam nos totais: o dinheiro devolvido sai pelo ESTORNO, lançado no caixa de
+// quem cancelou (que pode ser outro). O dinheiro considera o valor já abatido do troco.
+async function resumoCaixa(db, caixa) {
+  const { rows: formas } = await db.query(
+    `SELECT pg.forma, COUNT(DISTINCT v.id)::int AS vendas, COALESCE(SUM(pg.valor), 0) AS total
+     FROM pagamentos_venda pg
+     JOIN vendas v ON v.id = pg.id_venda
+     WHERE v.id_caixa = $1
+     GROUP BY pg.forma
+     ORDER BY total DESC`,
+    [caixa.id]
+  );
+  const { rows: movimentos } = await db.query(
+    `SELECT m.*, u.nome AS usuario_nome
+     FROM caixa_movimentos m
+     LEFT JOIN usuarios u ON u.id = m.id_usuario
+     WHERE m.id_caixa = $1
+     ORDER BY m.created_at, m.id`,
+    [caixa.id]
+  );
+  const { rows: vendas } = await db.query(
+    `SELECT COUNT(*)::int AS qtd, COUNT(*) FILTER (WHERE status = 'CANCELADA')::int AS canceladas,
+            COALESCE(SUM(total - COALESCE(total_devolvido, 0)), 0) AS total
+     FROM vendas
+     WHERE id_caixa = $1`,
+    [caixa.id]
+  );
+
+  const soma = tipo => centavos(movimentos.filter(m => m.tipo === tipo).reduce((acc, m) => acc + Number(m.valor), 0));
+  const suprimentos = soma('SUPRIMENTO');
+  const sangrias = soma('SANGRIA');
+  const restituicoes = soma('DEVOLUCAO');
+  const trocas = soma('TROCA');
+  const estornos = soma('ESTORNO');
+  const dinheiro = centavos(formas.filter(f => f.forma === 'DINHEIRO').reduce((acc, f) => acc + Number(f.total), 0));
+
+  return {
+    formas,
+    movimentos,
+    qtdVendas: vendas[0].qtd,
+    qtdCanceladas: vendas[0].canceladas,
+    totalVendas: Number(vendas[0].total),
+    suprimentos,
+    sangrias,
+    restituicoes,
+    trocas,
+    estornos,
+    dinheiro,
+    esperado: centavos(Number(caixa.valor_abertura) + suprimentos - sangrias + dinheiro + trocas - restituicoes - estornos)
+  };
+}
+
+// Tela do caixa: caixa atual (se houver) e últimos fechamentos
+app.get('/caixa', requireAuth, requirePermissao('caixa.operar', 'caixa.todos'), async (req, res) => {
+  try {
+    const user = req.session.usuario;
+    const caixa = await getCaixaAberto(pool, user.id);
+    const resumo = caixa ? await resumoCaixa(pool, caixa) : null;
+
+    const { rows: fechados } = await pool.query(
+      `SELECT c.id, c.aberto_em, c.fechado_em, c.valor_abertura, c.valor_esperado, c.valor_contado, c.diferenca,
+              u.nome AS usuario_nome
+       FROM caixas c
+       LEFT JOIN usuarios u ON u.id = c.id_usuario
+       WHERE c.status = 'FECHADO' AND ($1 OR c.id_usuario = $2)
+       ORDER BY c.fechado_em DESC
+       LIMIT 30`,
+      [pode(req, 'caixa.todos'), user.id]
+    );
+
+    res.render('caixa', {
+      caixa,
+      resumo,
+      fechados,
+      formasPagamento: FORMAS_PAGAMENTO,
+      movimentosCaixa: MOVIMENTOS_CAIXA,
+      relatorio: req.query.relatorio || '',
+      msg: req.query.msg || '',
+      err: req.query.err || ''
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Erro ao carregar o caixa');
+  }
+});
+
+app.post('/caixa/abrir', requireAuth, requirePermissao('caixa.operar'), async (req, res) => {
+  try {
+    const valor = centavos(req.body.valor_abertura);
+    if (isNaN(valor) || valor < 0) {
+      return res.redirect('/caixa?err=' + encodeURIComponent('Valor de abertura inválido.'));
+    }
+    if (await getCaixaAberto(pool, req.session.usuario.id)) {
+      return res.redirect('/caixa?err=' + encodeURIComponent('Você já possui um caixa aberto.'));
+    }
+    const { rows: [caixa] } = await pool.query(
+      'INSERT INTO caixas (id_usuario, valor_abertura) VALUES ($1, $2) RETURNING id',
+      [req.session.usuario.id, valor]
+    );
+    await registrarAuditoria(pool, req, { entidade: 'CAIXA', id_entidade: caixa.id, acao: 'ABRIR', depois: { valor_abertura: valor } });
+    res.redirect('/caixa?msg=' + encodeURIComponent('Caixa aberto.'));
+  } catch (err) {
+    console.error(err);
+    // índice único garante um caixa aberto por usuário mesmo com cliques duplicados
+    const msg = err.code === '23505' ? 'Você já possui um caixa aberto.' : 'Erro ao abrir o caixa.';
+    res.redirect('/caixa?err=' + encodeURIComponent(msg));
+  }
+});
+
+// Sangria (retirada) ou suprimento (reforço) de dinheiro no caixa aberto
+app.post('/caixa/movimento', requireAuth, requirePermissao('caixa.operar'), async (req, res) => {
+  const tipo = (req.body.tipo || '').toUpperCase();
+  const valor = centavos(req.body.valor);
+  const motivo = (req.body.motivo || '').trim() || null;
+  const client = await pool.connect();
+  try {
+    if (!['SANGRIA', 'SUPRIMENTO'].includes(tipo)) throw new Error('Tipo de movimento inválido.');
+    if (isNaN(valor) || valor <= 0) throw new Error('Informe um valor maior que zero.');
+    if (tipo === 'SANGRIA' && !motivo) throw new Error('Informe o motivo da sangria.');
+
+    await client.query('BEGIN');
+    const caixa = await getCaixaAberto(client, req.session.usuario.id, { lock: true });
+    if (!caixa) throw new Error('Nenhum caixa aberto.');
+
+    if (tipo === 'SANGRIA') {
+      const { esperado } = await resumoCaixa(client, caixa);
+      if (valor > esperado) {
+        throw new Error(`Sangria maior que o dinheiro em caixa (R$ ${esperado.toFixed(2)}).`);
+      }
+    }
+
+    await client.query(
+      'INSERT INTO caixa_movimentos (id_caixa, tipo, valor, motivo, id_usuario) VALUES ($1, $2, $3, $4, $5)',
+      [caixa.id, tipo, valor, motivo, req.session.usuario.id]
+    );
+    await registrarAuditoria(client, req, { entidade: 'CAIXA', id_entidade: caixa.id, acao: 'MOVIMENTAR', depois: { tipo, valor, motivo } });
+    await client.query('COMMIT');
+    res.redirect('/caixa?msg=' + encodeURIComponent(tipo === 'SANGRIA' ? 'Sangria registrada.' : 'Suprimento registrado.'));
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error(err);
+    res.redirect('/caixa?err=' + encodeURIComponent(err.message));
+  } finally {
+    client.release();
+  }
+});
+
+// Fechamento: grava o esperado x contado e libera o relatório em PDF
+app.post('/caixa/fechar', requireAuth, requirePermissao('caixa.operar'), async (req, res) => {
+  const contado = centavos(req.body.valor_contado);
+  const observacao = (req.body.observacao || '').trim() || null;
+  const client = await pool.connect();
+  try {
+    if (req.body.valor_contado === undefined || req.body.valor_contado === '' || isNaN(contado) || contado < 0) {
+      throw new Error('Informe o valor contado em dinheiro.');
+    }
+
+    await client.query('BEGIN');
+    const caixa = await getCaixaAberto(client, req.session.usuario.id, { lock: true });
+    if (!caixa) throw new Error('Nenhum caixa aberto.');
+
+    const { esperado } = await resumoCaixa(client, caixa);
+    await client.query(
+      `UPDATE caixas
+       SET status = 'FECHADO', valor_esperado = $1, valor_contado = $2, diferenca = $3, observacao = $4, fechado_em = NOW()
+       WHERE id = $5`,
+      [esperado, contado, centavos(contado - esperado), observacao, caixa.id]
+    );
+    await registrarAuditoria(client, req, {
+      entidade: 'CAIXA', id_entidade: caixa.id, acao: 'FECHAR',
+      depois: { valor_esperado: esperado, valor_contado: contado, diferenca: centavos(contado - esperado), observacao }
+    });
+    await client.query('COMMIT');
+    res.redirect(`/caixa?msg=${encodeURIComponent('Caixa fechado.')}&relatorio=${caixa.id}`);
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error(err);
+    res.redirect('/caixa?err=' + encodeURIComponent(err.message));
+  } finally {
+    client.release();
+  }
+});
+
+// Relatório de fechamento (mesmo estilo do relatório geral de vendas)
+app.get('/caixa/:id/relatorio', requireAuth, requirePermissao('caixa.operar', 'caixa.todos'), async (req, res) => {
+  try {
+    const user = req.session.usuario;
+    const { rows } = await pool.query(
+      `SELECT c.*, u.nome AS usuario_nome
+       FROM caixas c
+       LEFT JOIN usuarios u ON u.id = c.id_usuario
+       WHERE c.id = $1`,
+      [req.params.id]
+    );
+    const caixa = rows[0];
+    if (!caixa || (!pode(req, 'caixa.todos') && caixa.id_usuario !== user.id)) {
+      return res.status(404).send('Caixa não encontrado.');
+    }
+    const resumo = await resumoCaixa(pool, caixa);
+    const { rows: vendas } = await pool.query(
+      `SELECT v.id, v.data_venda,
+              COALESCE(v.total, 0) - COALESCE(v.total_devolvido, 0) AS total,
+              COALESCE(c.nome, 'Sem cliente') AS cliente,
+              (SELECT string_agg(DISTINCT pg.forma, ', ') FROM pagamentos_venda pg WHERE pg.id_venda = v.id) AS formas
+       FROM vendas v
+       LEFT JOIN clientes c ON c.id = v.id_cliente
+       WHERE v.id_caixa = $1 AND v.status <> 'CANCELADA'
+       ORDER BY v.id`,
+      [caixa.id]
+    );
+
+    const esperado = caixa.status === 'FECHADO' ? Number(caixa.valor_esperado) : resumo.esperado;
+
+    const doc = new PDFDocument({ size: 'A4', margin: 36 });
+    res.attachment(`fechamento-caixa-${caixa.id}.pdf`);
+    res.setHeader('Content-Type', 'application/pdf');
+    doc.pipe(res);
+
+    const moedaBR = v => (Number(v) || 0).toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+    const dataBR = s => { const d = new Date(s); return isNaN(d) ? String(s) : d.toLocaleString('pt-BR'); };
+    const x0 = doc.page.margins.left, x1 = doc.page.width - doc.page.margins.right;
+    const rowH = 18;
+    const bottom = () => doc.page.height - doc.page.margins.bottom - 10;
+    const separador = cor => doc.moveDown(0.6).moveTo(x0, doc.y).lineTo(x1, doc.y).strokeColor(cor).stroke().moveDown(0.6);
+
+    // Cabeçalho
+    doc.fontSize(18).font('Helvetica-Bold').fillColor('#000').text(`Fechamento de Caixa #${caixa.id}`);
+    doc.moveDown(0.6);
+    doc.fontSize(10).font('Helvetica')
+      .text(`Operador: ${caixa.usuario_nome || '-'}`)
+      .text(`Abertura: ${dataBR(caixa.aberto_em)}`)
+      .text(`Fechamento: ${caixa.fechado_em ? dataBR(caixa.fechado_em) : 'caixa ainda aberto'}`);
+    separador('#ccc');
+
+    // Tabela simples de duas colunas (descrição / valor)
+    const linha = (label, valor, bold = false) => {
+      if (doc.y + rowH > bottom()) doc.addPage();
+      const y = doc.y;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10).fillColor('#000');
+      doc.text(label, x0, y, { width: 340 });
+      doc.text(valor, x0 + 340, y, { width: 180, align: 'right' });
+      doc.moveDown(0.3);
+    };
+
+    doc.fontSize(12).font('Helvetica-Bold').text('Dinheiro em caixa', x0);
+    doc.moveDown(0.3);
+    linha('Valor de abertura', moedaBR(caixa.valor_abertura));
+    linha('(+) Vendas em dinheiro', moedaBR(resumo.dinheiro));
+    linha('(+) Suprimentos', moedaBR(resumo.suprimentos));
+    linha('(-) Sangrias', moedaBR(resumo.sangrias));
+    linha('(+) Diferenças de troca', moedaBR(resumo.trocas));
+    linha('(-) Restituições de devoluções', moedaBR(resumo.restituicoes));
+    linha('(-) Estornos de vendas canceladas', moedaBR(resumo.estornos));
+    linha('Esperado', moedaBR(esperado), true);
+    if (caixa.status === 'FECHADO') {
+      linha('Contado', moedaBR(caixa.valor_contado), true);
+      const dif = Number(caixa.diferenca);
+      linha(dif === 0 ? 'Diferença' : dif > 0 ? 'Diferença (sobra)' : 'Diferença (falta)', moedaBR(dif), true);
+    }
+    if (caixa.observacao) {
+      doc.moveDown(0.3).font('Helvetica-Oblique').fontSize(9).fillColor('#555').text(`Obs.: ${caixa.observacao}`, x0);
+    }
+    separador('#ccc');
+
+    doc.fontSize(12).font('Helvetica-Bold').fillColor('#000').text(`Vendas por forma de pagamento (${resumo.qtdVendas} venda(s)${resumo.qtdCanceladas ? `, ${resumo.qtdCanceladas} cancelada(s)` : ''})`, x0);
+    doc.moveDown(0.3);
+    resumo.formas.forEach(f => linha(`${FORMAS_PAGAMENTO[f.forma] || f.forma} (${f.vendas})`, moedaBR(f.total)));
+    linha('Total vendido', moedaBR(resumo.totalVendas), true);
+
+    if (resumo.movimentos.length) {
+      separador('#ccc');
+      doc.fontSize(12).font('Helvetica-Bold').fillColor('#000').text('Movimentos de dinheiro', x0);
+      doc.moveDown(0.3);
+      resumo.movimentos.forEach(m => {
+        const tipo = MOVIMENTOS_CAIXA[m.tipo] || { nome: m.tipo, sinal: 1 };
+        linha(`${dataBR(m.created_at)} • ${tipo.nome}${m.motivo ? ` — ${m.motivo}` : ''}`, `${tipo.sinal < 0 ? '-' : '+'} ${moedaBR(m.valor)}`);
+      });
+    }
+
+    // Lista de vendas do caixa
+    separador('#ccc');
+    const cols = [
+      { label: 'ID', width: 50, align: 'left' },
+      { label: 'Data', width: 110, align: 'left' },
+      { label: 'Cliente', width: 190, align: 'left' },
+      { label: 'Pagamento', width: 80, align: 'left' },
+      { label: 'Valor', width: 90, align: 'right' }
+    ];
+    const printTableHeader = () => {
+      doc.font('Helvetica-Bold').fontSize(11).fillColor('#000');
+      let x = x0; const y = doc.y;
+      cols.forEach(c => { doc.text(c.label, x, y, { width: c.width, align: c.align }); x += c.width; });
+      doc.moveDown(0.2).moveTo(x0, doc.y).lineTo(x1, doc.y).strokeColor('#ddd').stroke().moveDown(0.2);
+      doc.font('Helvetica').fontSize(10);
+    };
+    printTableHeader();
+
+    vendas.forEach(v => {
+      if (doc.y + rowH > bottom()) { doc.addPage(); printTableHeader(); }
+      const cells = [
+        String(v.id),
+        new Date(v.data_venda).toLocaleDateString('pt-BR') + ' ' + new Date(v.data_venda).toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' }),
+        String(v.cliente || ''),
+        (v.formas || '-').split(', ').map(f => FORMAS_PAGAMENTO[f] || f).join(', '),
+        moedaBR(v.total)
+      ];
+      let x = x0; const y = doc.y;
+      cells.forEach((txt, i) => {
+        let out = txt;
+        while (doc.widthOfString(out) > cols[i].width && out.length > 1) out = out.slice(0, out.length - 2) + '…';
+        doc.text(out, x, y, { width: cols[i].width, align: cols[i].align });
+        x += cols[i].width;
+      });
+      doc.moveDown(0.3);
+    });
+    if (!vendas.length) doc.fillColor('#777').text('Nenhuma venda neste caixa.', x0);
+
+    if (doc.y + 30 > bottom()) doc.addPage();
+    doc.moveDown(0.8).fontSize(9).fillColor('#777').text(`Gerado em: ${dataBR(new Date())}`, x0);
+    doc.end();
+  } catch (e) {
+    console.error(e);
+    res.status(500).send('Erro ao gerar relatório.');
+  }
+});
+
+// --------- Carga via Excel ---------
+// Colunas da planilha (mesmo layout usado na exportação de produtos):
+// Descrição, Quantidade, Valor Total, Unidade, Valor Unitário, Valor Venda, Código de Barras (opcional),
+// Categoria (opcional, níveis separados por '>': "Roupas > Infantil")
+function lerPlanilhaProdutos(filePath) {
+  const workbook = XLSX.readFile(filePath);
+  const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+  const data = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
+
+  const linhas = [];
+  for (let i = 1; i < data.length; i++) {
+    const row = data[i] || [];
+    if (!row[0] || row[0].toString().toUpperCase() === 'TOTAL') continue;
+
+    const valorUnitario = row[4] === undefined || row[4] === '' ? 0 : Number(row[4]);
+    linhas.push({
+      linha: i + 1,
+      descricao: row[0].toString().trim(),
+      quantidade: Number(row[1]),
+      quantidadeOriginal: row[1],
+      unidade: row[3] ? row[3].toString().trim() : null,
+      valor_unitario: valorUnitario,
+      valor_venda: row[5] === undefined || row[5] === '' ? valorUnitario : Number(row[5]),
+      barcode: row[6] ? row[6].toString().replace(/\D/g, '') : null,
+      categoria: row[7] ? row[7].toString().trim() : null
+    });
+  }
+  return linhas;
+}
+
+// Classifica cada linha em NOVO / ATUALIZAR / ERRO comparando com o catálogo atual.
+// Casa por código de barras (se informado) ou pelo nome exato do produto.
+// Unidade e categoria em branco mantêm as do produto (ou UN / sem categoria nos novos).
+async function analisarCarga(db, linhas) {
+  const { rows: produtos } = await db.query(`
+    SELECT p.id, p.nome, p.barcode, p.valor_unitario, p.valor_venda, COALESCE(e.quantidade, 0) AS quantidade,
+           p.unidade, p.id_categoria, p.arquivado_em,
+           ARRAY(SELECT c.codigo FROM produtos_codigos c WHERE c.id_produto = p.id) AS codigos_externos
+    FROM produtos p
+    LEFT JOIN estoque e ON p.id = e.id_produto
+  `);
+  // Código interno ou qualquer código externo do produto
+  const porBarcode = new Map();
+  produtos.forEach(p => [p.barcode, ...(p.codigos_externos || [])].filter(Boolean).forEach(c => porBarcode.set(c, p)));
+  // CSV reaberto no Excel perde os zeros à esquerda do código (12 dígitos nos antigos, 13 no EAN)
+  const buscarCodigo = c => porBarcode.get(c) || porBarcode.get(c.padStart(12, '0')) || porBarcode.get(c.padStart(13, '0'));
+  // arquivados só casam pelo código: um produto novo pode reaproveitar o nome
+  const porNome = new Map();
+  produtos.filter(p => !p.arquivado_em).forEach(p => {
+    const nome = (p.nome || '').trim();
+    porNome.set(nome, porNome.has(nome) ? null : p); // null = nome ambíguo
+  });
+
+  // categorias já cadastradas, pelo caminho sem diferenciar maiúsculas
+  const categorias = new Set((await carregarCategorias(db)).map(c => c.caminho.toLowerCase()));
+
+  const vistos = new Map(); // produto/nome -> linha em que já apareceu
+  return linhas.map(l => {
+    const partesCategoria = partesCaminhoCategoria(l.categoria);
+    const r = {
+      ...l,
+      acao: 'ERRO',
+      motivo: null,
+      produto: null,
+      unidade: l.unidade ? normalizarUnidade(l.unidade) : null,
+      categoria: partesCategoria.length ? partesCategoria.join(' › ') : null,
+      partesCategoria
+    };
+    r.categoriaNova = !!r.categoria && !categorias.has(r.categoria.toLowerCase());
+
+    if (!l.descricao) r.motivo = 'Descrição vazia.';
+    else if (isNaN(l.quantidade) || l.quantidade < 0) r.motivo = `Quantidade inválida (${l.quantidadeOriginal ?? ''}).`;
+    else if (!Number.isInteger(l.quantidade)) r.motivo = `Quantidade deve ser um número inteiro (${l.quantidadeOriginal}).`;
+    else if (isNaN(l.valor_unitario) || l.valor_unitario < 0) r.motivo = 'Valor unitário inválido.';
+    else if (isNaN(l.valor_venda) || l.valor_venda < 0) r.motivo = 'Valor de venda inválido.';
+    else if (l.unidade && !r.unidade) r.motivo = `Unidade desconhecida (${l.unidade}). Use ${Object.keys(UNIDADES_MEDIDA).join(', ')}.`;
+    else if (partesCategoria.some(p => p.length > 100)) r.motivo = 'Nome de categoria com mais de 100 caracteres.';
+    if (r.motivo) return r;
+
+    if (l.barcode) {
+      r.produto = buscarCodigo(l.barcode) || null;
+      if (!r.produto) { r.motivo = `Código de barras ${l.barcode} não encontrado.`; return r; }
+      if (r.produto.arquivado_em) {
+        r.motivo = `Produto ${r.produto.nome} está arquivado; restaure-o antes de importar.`;
+        r.produto = null;
+        return r;
+      }
+    } else if (porNome.has(l.descricao)) {
+      r.produto = porNome.get(l.descricao);
+      if (!r.produto) { r.motivo = 'Mais de um produto com este nome; informe o código de barras.'; return r; }
+    }
+
+    const chave = r.produto ? `id:${r.produto.id}` : `nome:${l.descricao}`;
+    if (vistos.has(chave)) {
+      r.produto = null;
+      r.motivo = `Produto repetido na planilha (linha ${vistos.get(chave)}).`;
+      return r;
+    }
+    vistos.set(chave, l.linha);
+
+    r.acao = r.produto ? 'ATUALIZAR' : 'NOVO';
+    return r;
+  });
+}
+
+function removerArquivoCarga(filePath) {
+  if (filePath) fs.unlink(filePath, () => {});
+}
+
+// Planilhas confirmadas ficam guardadas junto do lote; o resto de uploads/ é temporário (prévias).
+const PASTA_CARGAS = path.join('uploads', 'cargas');
+
+// Apaga arquivos temporários de prévias abandonadas (mais de 1 dia sem confirmar)
+function limparUploadsOrfaos() {
+  fs.readdir('uploads', { withFileTypes: true }, (err, arquivos) => {
+    if (err) return;
+    const limite = Date.now() - 24 * 60 * 60 * 1000;
+    arquivos.filter(a => a.isFile()).forEach(a => {
+      const arquivo = path.join('uploads', a.name);
+      fs.stat(arquivo, (e, st) => { if (!e && st.mtimeMs < limite) removerArquivoCarga(arquivo); });
+    });
+  });
+}
+
+app.get('/carga-produtos', requireAuth, requirePermissao('carga.importar'), (req, res) => {
+  res.render('carga-produtos', { msg: req.query.msg || '', err: req.query.err || '', unidades: UNIDADES_MEDIDA });
+});
+
+// Passo 1: recebe o arquivo e mostra a prévia (nada é gravado ainda)
+app.post('/carga-produtos', requireAuth, requirePermissao('carga.importar'), upload.single('excelFile'), async (req, res) => {
+  if (!req.file) return res.redirect('/carga-produtos?err=' + encodeURIComponent('Selecione um arquivo.'));
+  limparUploadsOrfaos();
+  try {
+    const linhas = await analisarCarga(pool, lerPlanilhaProdutos(req.file.path));
+
+    // descarta uma prévia anterior que não foi confirmada
+    if (req.session.cargaPendente) removerArquivoCarga(req.session.cargaPendente.arquivo);
+    req.session.cargaPendente = { arquivo: req.file.path, nome: req.file.originalname };
+
+    res.render('carga-produtos-preview', {
+      arquivo: req.file.originalname,
+      linhas,
+      resumo: {
+        novos: linhas.filter(l => l.acao === 'NOVO').length,
+        atualizados: linhas.filter(l => l.acao === 'ATUALIZAR').length,
+        erros: linhas.filter(l => l.acao === 'ERRO').length
+      }
+    });
+  } catch (err) {
+    console.error(err);
+    removerArquivoCarga(req.file.path);
+    res.redirect('/carga-produtos?err=' + encodeURIComponent('Não foi possível ler a planilha: ' + err.message));
+  }
+});
+
+// Passo 2: reprocessa o arquivo e grava tudo numa única transação.
+// Linhas com erro são ignoradas (já apareceram na prévia); qualquer falha desfaz a carga inteira.
+app.post('/carga-produtos/confirmar', requireAuth, requirePermissao('carga.importar'), async (req, res) => {
+  const pendente = req.session.cargaPendente;
+  if (!pendente) return res.redirect('/carga-produtos?err=' + encodeURIComponent('Nenhuma carga pendente. Envie a planilha novamente.'));
+
+  const client = await pool.connect();
+  let arquivoLote = null;
+  try {
+    await client.query('BEGIN');
+    // serializa cargas simultâneas para a análise não ficar desatualizada
+    await client.query('LOCK TABLE produtos IN SHARE ROW EXCLUSIVE MODE');
+
+    const linhas = await analisarCarga(client, lerPlanilhaProdutos(pendente.arquivo));
+    const motivo = `Carga de planilha: ${pendente.nome}`;
+    let novos = 0, atualizados = 0;
+
+    const lote = await client.query(
+      'INSERT INTO cargas_produtos (arquivo_nome, id_usuario) VALUES ($1, $2) RETURNING id',
+      [pendente.nome, req.session.usuario.id]
+    );
+    const id_carga = lote.rows[0].id;
+
+    for (const l of linhas) {
+      const id_categoria = l.acao !== 'ERRO' && l.partesCategoria.length
+        ? await obterOuCriarCategoria(client, l.partesCategoria)
+        : null;
+      if (l.acao === 'NOVO') {
+        const produtoResult = await client.query(
+          `INSERT INTO produtos (nome, barcode, valor_unitario, valor_venda, descricao, unidade, id_categoria)
+           VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id`,
+          [l.descricao, null, l.valor_unitario, l.valor_venda, l.descricao, l.unidade || 'UN', id_categoria]
+        );
+        const id_produto = produtoResult.rows[0].id;
+        await registrarHistoricoPreco(client, {
+          id_produto,
+          anterior: null,
+          novo: l,
+          origem: 'CARGA',
+          id_usuario: req.session.usuario.id
+        });
+
+        await client.query(
+          'UPDATE produtos SET barcode = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+          [formatBarcodeFromId(id_produto), id_produto]
+        );
+        await client.query(
+          'INSERT INTO estoque (id_produto, quantidade) VALUES ($1, $2)',
+          [id_produto, 0]
+        );
+        if (l.quantidade) {
+          await movimentarEstoque(client, {
+            id_produto,
+            tipo: 'CARGA',
+            quantidade: l.quantidade,
+            id_usuario: req.session.usuario.id,
+            motivo,
+            id_carga
+          });
+        }
+        await client.query(
+          'INSERT INTO cargas_produtos_itens (id_carga, id_produto, linha, acao, quantidade) VALUES ($1, $2, $3, $4, $5)',
+          [id_carga, id_produto, l.linha, 'NOVO', l.quantidade]
+        );
+        novos++;
+      } else if (l.acao === 'ATUALIZAR') {
+        await client.query(
+          `UPDATE produtos
+           SET valor_unitario = $1, valor_venda = $2, unidade = COALESCE($3, unidade), id_categoria = COALESCE($4, id_categoria),
+               updated_at = CURRENT_TIMESTAMP
+           WHERE id = $5`,
+          [l.valor_unitario, l.valor_venda, l.unidade, id_categoria, l.produto.id]
+        );
+        await registrarHistoricoPreco(client, {
+          id_produto: l.produto.id,
+          anterior: l.produto,
+          novo: l,
+          origem: 'CARGA',
+          id_usuario: req.session.usuario.id
+        });
+        // a planilha traz o estoque final; grava só a diferença
+        const diferenca = l.quantidade - Number(l.produto.quantidade);
+        if (diferenca !== 0) {
+          await movimentarEstoque(client, {
+            id_produto: l.produto.id,
+            tipo: 'CARGA',
+            quantidade: diferenca,
+            id_usuario: req.session.usuario.id,
+            motivo,
+            id_carga
+          });
+        }
+        await client.query(
+          `INSERT INTO cargas_produtos_itens
+             (id_carga, id_produto, linha, acao, valor_unitario_anterior, valor_venda_anterior, quantidade,
+              unidade_anterior, id_categoria_anterior, valor_unitario_novo, valor_venda_novo)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+          [id_carga, l.produto.id, l.linha, 'ATUALIZAR', l.produto.valor_unitario, l.produto.valor_venda, diferenca,
+            l.produto.unidade, l.produto.id_categoria, l.valor_unitario, l.valor_venda]
+        );
+        atualizados++;
+      }
     }
 
-    function drawTotals(y, total) {
-      const labelW = page.w - mm(40);
-      doc.font('Helvetica-Bold').fontSize(fs.md)
-        .text('TOTAL', page.x + labelW, y + mm(2), { width: mm(20), align: 'right' })
-        .text(BRL(total), page.x + labelW + mm(20), y + mm(2), { width: mm(20), align: 'right' });
-      return y + mm(10);
-    }
+    // guarda a planilha junto do lote (o temporário do multer é apagado depois do COMMIT)
+    fs.mkdirSync(PASTA_CARGAS, { recursive: true });
+    arquivoLote = path.join(PASTA_CARGAS, `${id_carga}${path.extname(pendente.nome).toLowerCase() || '.xlsx'}`);
+    fs.copyFileSync(pendente.arquivo, arquivoLote);
 
-    function drawSignatures(y) {
-      const lineY = y + mm(14);
-      const colW = (page.w - mm(8)) / 2;
-      doc.strokeColor(lineGray).lineWidth(0.8)
-        .moveTo(page.x + mm(4), lineY).lineTo(page.x + mm(4) + colW, lineY).stroke()
-        .moveTo(page.x + mm(8) + colW, lineY).lineTo(page.x + mm(8) + colW + colW, lineY).stroke();
-      doc.font('Helvetica').fontSize(fs.sm)
-        .text('Assinatura do Responsável', page.x + mm(4), lineY + mm(1), { width: colW, align: 'center' })
-        .text('Assinatura do Cliente', page.x + mm(8) + colW, lineY + mm(1), { width: colW, align: 'center' });
-      return lineY + mm(10);
-    }
+    const ignorados = linhas.length - novos - atualizados;
+    await client.query(
+      'UPDATE cargas_produtos SET arquivo = $1, criados = $2, atualizados = $3, ignorados = $4 WHERE id = $5',
+      [arquivoLote, novos, atualizados, ignorados, id_carga]
+    );
+    // o antes/depois de cada produto fica nos itens do lote (cargas_produtos_itens)
+    await registrarAuditoria(client, req, {
+      entidade: 'CARGA', id_entidade: id_carga, acao: 'IMPORTAR',
+      depois: { arquivo: pendente.nome, criados: novos, atualizados, ignorados }
+    });
 
-    function drawFooter(y) {
-      const text = 'AS MERCADORIAS NÃO PODERÃO SER UTILIZADAS PARA VENDA NO COMÉRCIO, SOB PENA ' +
-                   'DE APREENSÃO POR PARTE DAS AUTORIDADES COMPETENTES.';
-      doc.font('Helvetica').fontSize(fs.xs).fillColor('#666')
-        .text(text, page.x, y + mm(2), { width: page.w, align: 'justify' });
-    }
+    await client.query('COMMIT');
+    delete req.session.cargaPendente;
+    removerArquivoCarga(pendente.arquivo);
 
-    drawHeader();
-    const metaEnd = drawMeta(page.y + mm(24));
-    const table = drawTable(metaEnd + mm(3));
-    const afterTotal = drawTotals(table.y + mm(2), table.total);
-    const afterSign = drawSignatures(afterTotal + mm(2));
-    drawFooter(afterSign);
+    const msg = `Carga concluída: ${novos} produto(s) novo(s), ${atualizados} atualizado(s)` +
+      (ignorados ? `, ${ignorados} linha(s) ignorada(s).` : '.');
+    res.redirect('/carga-produtos?msg=' + encodeURIComponent(msg));
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    removerArquivoCarga(arquivoLote);
+    console.error(err);
+    res.redirect('/carga-produtos?err=' + encodeURIComponent('Erro ao carregar produtos do Excel: ' + err.message));
+  } finally {
+    client.release();
+  }
+});
 
-    doc.end();
+app.post('/carga-produtos/cancelar', requireAuth, requirePermissao('carga.importar'), (req, res) => {
+  if (req.session.cargaPendente) removerArquivoCarga(req.session.cargaPendente.arquivo);
+  delete req.session.cargaPendente;
+  res.redirect('/carga-produtos');
+});
+
+// --------- Histórico de cargas ---------
+app.get('/carga-produtos/historico', requireAuth, requirePermissao('carga.importar', 'carga.desfazer', 'carga.todos'), async (req, res) => {
+  try {
+    const user = req.session.usuario;
+    const { rows: cargas } = await pool.query(
+      `SELECT c.*, u.nome AS usuario_nome, d.nome AS desfeita_por_nome
+       FROM cargas_produtos c
+       LEFT JOIN usuarios u ON u.id = c.id_usuario
+       LEFT JOIN usuarios d ON d.id = c.desfeita_por
+       WHERE $1 OR c.id_usuario = $2
+       ORDER BY c.created_at DESC, c.id DESC
+       LIMIT 100`,
+      [pode(req, 'carga.todos'), user.id]
+    );
+    res.render('carga-produtos-historico', { cargas, msg: req.query.msg || '', err: req.query.err || '' });
   } catch (err) {
     console.error(err);
-    res.status(500).send('Erro ao gerar recibo: ' + err.message);
+    res.status(500).send('Erro ao listar cargas');
   }
 });
-// --------- Carga via Excel ---------
-app.get('/carga-produtos', requireAuth, (req, res) => {
-  res.render('carga-produtos');
-});
-
-app.post('/carga-produtos', requireAuth, upload.single('excelFile'), async (req, res) => {
-  try {
-    const filePath = req.file.path;
-    const workbook = XLSX.readFile(filePath);
-    const sheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
-    const data = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
-
-    for (let i = 1; i < data.length; i++) {
-      const row = data[i];
-      if (!row[0] || row[0].toString().toUpperCase() === 'TOTAL') continue;
-
-      const descricao = row[0].toString().trim();
-      const quantidade = Number(row[1]);
-      const valorTotal = Number(row[2]) || 0;
-      const unidade = row[3] ? row[3].toString().trim() : null;
-      const valorUnitario = Number(row[4]) || 0;
-      const valorVenda = Number(row[5]) || valorUnitario;
-      
-      if (isNaN(quantidade) || quantidade < 0) {
-        console.warn(`Linha ${i + 1} ignorada: Quantidade inválida (${row[1]})`);
-        continue;
-      }
 
-      await pool.query('BEGIN');
+// Só o autor da carga ou quem tem carga.todos pode baixar/desfazer
+async function getCargaPermitida(db, id, req, { lock = false } = {}) {
+  const { rows } = await db.query(`SELECT * FROM cargas_produtos WHERE id = $1${lock ? ' FOR UPDATE' : ''}`, [id]);
+  const carga = rows[0];
+  if (!carga || (!pode(req, 'carga.todos') && carga.id_usuario !== req.session.usuario.id)) return null;
+  return carga;
+}
+
+app.get('/carga-produtos/historico/:id/arquivo', requireAuth, requirePermissao('carga.importar', 'carga.desfazer', 'carga.todos'), async (req, res) => {
+  try {
+    const carga = await getCargaPermitida(pool, req.params.id, req);
+    if (!carga || !carga.arquivo || !fs.existsSync(carga.arquivo)) {
+      return res.status(404).send('Arquivo da carga não encontrado.');
+    }
+    res.download(carga.arquivo, carga.arquivo_nome);
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Erro ao baixar arquivo');
+  }
+});
 
-      const produtoResult = await pool.query(
-        'INSERT INTO produtos (nome, barcode, valor_unitario, valor_venda, descricao) VALUES ($1, $2, $3, $4, $5) RETURNING id',
-        [descricao, null, valorUnitario, valorVenda, descricao]
-      );
-      const id_produto = produtoResult.rows[0].id;
+// Desfaz a carga inteira: apaga os produtos criados e devolve preço/estoque dos atualizados.
+// Bloqueado se algum produto do lote já foi vendido depois da carga.
+app.post('/carga-produtos/historico/:id/desfazer', requireAuth, requirePermissao('carga.desfazer'), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const carga = await getCargaPermitida(client, req.params.id, req, { lock: true });
+    if (!carga) throw new Error('Carga não encontrada.');
+    if (carga.status !== 'ATIVA') throw new Error(`A carga #${carga.id} já foi desfeita.`);
 
-      const forcedBarcode = formatBarcodeFromId(id_produto);
-      await pool.query(
-        'UPDATE produtos SET barcode = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-        [forcedBarcode, id_produto]
-      );
+    const { rows: itens } = await client.query(
+      'SELECT * FROM cargas_produtos_itens WHERE id_carga = $1 ORDER BY id FOR UPDATE',
+      [carga.id]
+    );
+    const ids = itens.map(i => i.id_produto);
+
+    // Vale a data em que o item saiu: a da venda ou, em troca feita depois, a da devolução
+    const vendidos = await client.query(
+      `SELECT DISTINCT p.nome
+       FROM itens_venda iv
+       JOIN vendas v ON v.id = iv.id_venda
+       LEFT JOIN devolucoes d ON d.id = iv.id_devolucao
+       JOIN produtos p ON p.id = iv.id_produto
+       WHERE iv.id_produto = ANY($1::int[])
+         AND COALESCE(d.created_at, v.data_venda) >= (SELECT created_at FROM cargas_produtos WHERE id = $2)`,
+      [ids, carga.id]
+    );
+    if (vendidos.rowCount) {
+      throw new Error(`Não é possível desfazer: já houve venda de ${vendidos.rows.map(r => r.nome).join(', ')}.`);
+    }
 
-      await pool.query(
-        'INSERT INTO estoque (id_produto, quantidade) VALUES ($1, $2)',
-        [id_produto, Math.floor(quantidade)]
-      );
+    // Uma carga posterior sobre os mesmos produtos precisa ser desfeita antes
+    const posteriores = await client.query(
+      `SELECT DISTINCT c.id
+       FROM cargas_produtos_itens i
+       JOIN cargas_produtos c ON c.id = i.id_carga
+       WHERE i.id_produto = ANY($1::int[]) AND c.id > $2 AND c.status = 'ATIVA'
+       ORDER BY c.id`,
+      [ids, carga.id]
+    );
+    if (posteriores.rowCount) {
+      throw new Error(`Desfaça antes a(s) carga(s) ${posteriores.rows.map(r => '#' + r.id).join(', ')}, que alteraram os mesmos produtos.`);
+    }
 
-      await pool.query('COMMIT');
+    const motivo = `Carga #${carga.id} desfeita (${carga.arquivo_nome})`;
+    const mantidos = [];
+    for (const item of itens) {
+      if (item.acao === 'NOVO') {
+        // o produto criado é arquivado com razão de estoque e histórico de preço; o estoque é estornado
+        await client.query(
+          'UPDATE produtos SET arquivado_em = CURRENT_TIMESTAMP WHERE id = $1 AND arquivado_em IS NULL',
+          [item.id_produto]
+        );
+        const { rows: [estoque] } = await client.query(
+          'SELECT quantidade FROM estoque WHERE id_produto = $1 FOR UPDATE',
+          [item.id_produto]
+        );
+        if (Number(estoque?.quantidade)) {
+          await movimentarEstoque(client, {
+            id_produto: item.id_produto,
+            tipo: 'ESTORNO_CARGA',
+            quantidade: -Number(estoque.quantidade),
+            id_usuario: req.session.usuario.id,
+            motivo,
+            id_carga: carga.id
+          });
+        }
+        continue;
+      }
+      const { rows: [atual] } = await client.query(
+        'SELECT nome, valor_unitario, valor_venda FROM produtos WHERE id = $1 FOR UPDATE',
+        [item.id_produto]
+      );
+      // Custo ou preço alterado depois da carga fica como está (e é avisado): só volta o que ainda é o da carga
+      const daCarga = campo => centavos(atual[campo]) === centavos(item[`${campo}_novo`]);
+      const valores = {
+        valor_unitario: daCarga('valor_unitario') ? item.valor_unitario_anterior : atual.valor_unitario,
+        valor_venda: daCarga('valor_venda') ? item.valor_venda_anterior : atual.valor_venda
+      };
+      const alterados = [!daCarga('valor_unitario') && 'custo', !daCarga('valor_venda') && 'preço de venda'].filter(Boolean);
+      if (alterados.length) mantidos.push(`${atual.nome} (${alterados.join(' e ')})`);
+      // unidade_anterior é sempre gravada; vazia = carga de antes das categorias, que não as alterava
+      await client.query(
+        `UPDATE produtos
+         SET valor_unitario = $1, valor_venda = $2, unidade = COALESCE($3, unidade),
+             id_categoria = CASE WHEN $3::varchar IS NULL THEN id_categoria ELSE $4::int END,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $5`,
+        [valores.valor_unitario, valores.valor_venda, item.unidade_anterior, item.id_categoria_anterior, item.id_produto]
+      );
+      await registrarHistoricoPreco(client, {
+        id_produto: item.id_produto,
+        anterior: atual,
+        novo: valores,
+        origem: 'ESTORNO_CARGA',
+        id_usuario: req.session.usuario.id
+      });
+      if (item.quantidade) {
+        await movimentarEstoque(client, {
+          id_produto: item.id_produto,
+          tipo: 'ESTORNO_CARGA',
+          quantidade: -item.quantidade,
+          id_usuario: req.session.usuario.id,
+          motivo,
+          id_carga: carga.id
+        });
+      }
     }
 
-    res.redirect('/produtos');
+    await client.query(
+      `UPDATE cargas_produtos SET status = 'DESFEITA', desfeita_em = NOW(), desfeita_por = $1 WHERE id = $2`,
+      [req.session.usuario.id, carga.id]
+    );
+    await registrarAuditoria(client, req, {
+      entidade: 'CARGA', id_entidade: carga.id, acao: 'DESFAZER',
+      antes: { status: carga.status },
+      depois: {
+        status: 'DESFEITA',
+        produtos_arquivados: itens.filter(i => i.acao === 'NOVO').length,
+        produtos_restaurados: itens.filter(i => i.acao !== 'NOVO').length,
+        precos_mantidos: mantidos
+      }
+    });
+    await client.query('COMMIT');
+    const aviso = mantidos.length ? ` Mantidos por terem sido alterados depois da carga: ${mantidos.join(', ')}.` : '';
+    res.redirect('/carga-produtos/historico?msg=' + encodeURIComponent(`Carga #${carga.id} desfeita.${aviso}`));
   } catch (err) {
-    await pool.query('ROLLBACK');
+    await client.query('ROLLBACK').catch(() => {});
     console.error(err);
-    res.status(500).send('Erro ao carregar produtos do Excel: ' + err.message);
+    res.redirect('/carga-produtos/historico?err=' + encodeURIComponent(err.message));
+  } finally {
+    client.release();
   }
 });
 
 // === Relatórios: Menu ===
-app.get('/relatorios',  requireAuth,  (req, res) => {
-  res.render('relatorios');
+app.get('/relatorios', requireAuth, requirePermissao('relatorios.ver', 'relatorios.todos'), async (req, res) => {
+  try {
+    const vendedores = pode(req, 'relatorios.todos')
+      ? (await pool.query('SELECT id, nome FROM usuarios ORDER BY nome')).rows
+      : [];
+    res.render('relatorios', { vendedores, formasPagamento: FORMAS_PAGAMENTO, categorias: await carregarCategorias(pool) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Erro ao carregar relatórios');
+  }
 });
 
-app.get('/relatorios/vendas-geral', async (req, res) => {
-  try {
-    // Total vendido
-const user_id = req.session.usuario.id;
-    const totalQuery = `SELECT COALESCE(SUM(v.total), 0) AS total_vendido FROM vendas v where v.id_usuario = $1 and v.status <>'CANCELADA'`;
-    const { rows: totalRows } = await pool.query(totalQuery,[user_id]);
-    const totalVendido = Number(totalRows[0]?.total_vendido || 0);
+// Filtro de período (?inicio=AAAA-MM-DD&fim=AAAA-MM-DD, ambos opcionais) sobre a coluna informada.
+// Acrescenta as condições em where/params e devolve a descrição para o cabeçalho (ou null).
+function filtroPeriodo(query, coluna, where, params) {
+  const dataValida = s => /^\d{4}-\d{2}-\d{2}$/.test(s || '');
+  const dataBR = s => s.split('-').reverse().join('/');
+  const inicio = dataValida(query.inicio) ? query.inicio : null;
+  const fim = dataValida(query.fim) ? query.fim : null;
+
+  if (inicio) {
+    params.push(inicio);
+    where.push(`${coluna} >= $${params.length}::date`);
+  }
+  if (fim) {
+    params.push(fim);
+    where.push(`${coluna} < $${params.length}::date + 1`);
+  }
+  if (!inicio && !fim) return null;
+  return `Período: ${inicio ? dataBR(inicio) : 'início'} a ${fim ? dataBR(fim) : 'hoje'}`;
+}
 
-    // Lista de vendas
-    const listaQuery = `
-      SELECT 
-        v.id,
-        COALESCE(v.total, 0) AS total,
-        COALESCE(c.nome, 'Sem cliente') AS cliente
-      FROM vendas v
-      LEFT JOIN clientes c ON c.id = v.id_cliente
-      where v.id_usuario =$1 and v.status <> 'CANCELADA'
-ORDER BY v.id DESC
-    `;
-    const { rows: vendas } = await pool.query(listaQuery,[user_id]);
+const STATUS_VENDA = {
+  CONCLUIDA: 'Concluída',
+  DEVOLVIDA_PARCIAL: 'Devolução parcial',
+  DEVOLVIDA: 'Devolvida',
+  CANCELADA: 'Cancelada'
+};
+
+// Filtros do relatório de vendas. Sem parâmetros, mantém o comportamento antigo:
+// vendas não canceladas do próprio usuário, de todo o período.
+// Só quem tem relatorios.todos escolhe o vendedor (id ou 'todos'); para os demais é sempre o próprio usuário.
+async function consultarRelatorioVendas(usuario, todos, query) {
+  const where = [];
+  const params = [];
+  const descricao = [];
+  const statusSql = `CASE
+      WHEN v.status IS NULL THEN 'CONCLUIDA'
+      WHEN UPPER(v.status) LIKE 'CANCEL%' THEN 'CANCELADA'
+      ELSE v.status
+    END`;
+  const vendedor = todos ? (query.vendedor || String(usuario.id)) : String(usuario.id);
+  if (vendedor !== 'todos') {
+    params.push(parseInt(vendedor) || usuario.id);
+    where.push(`v.id_usuario = $${params.length}`);
+  }
+
+  const periodo = filtroPeriodo(query, 'v.data_venda', where, params);
+  if (periodo) descricao.push(periodo);
+
+  const status = (query.status || '').toUpperCase();
+  if (STATUS_VENDA[status]) {
+    params.push(status);
+    where.push(`${statusSql} = $${params.length}`);
+    descricao.push(`Status: ${STATUS_VENDA[status]}`);
+  } else if (status !== 'TODAS') {
+    where.push(`${statusSql} <> 'CANCELADA'`);
+  } else {
+    descricao.push('Status: todos');
+  }
+
+  const forma = (query.forma || '').toUpperCase();
+  if (FORMAS_PAGAMENTO[forma]) {
+    params.push(forma);
+    where.push(`EXISTS (SELECT 1 FROM pagamentos_venda pg WHERE pg.id_venda = v.id AND pg.forma = $${params.length})`);
+    descricao.push(`Pagamento: ${FORMAS_PAGAMENTO[forma]}`);
+  }
+
+  const { rows: vendas } = await pool.query(
+    `
+    SELECT
+      v.id,
+      v.data_venda,
+      ${statusSql} AS status,
+      COALESCE(v.total, 0) - COALESCE(v.total_devolvido, 0) AS total,
+      COALESCE(v.desconto, 0)
+        + COALESCE((SELECT SUM(iv.desconto) FROM itens_venda iv WHERE iv.id_venda = v.id), 0) AS desconto,
+      COALESCE(c.nome, 'Sem cliente') AS cliente,
+      COALESCE(u.nome, '-') AS vendedor
+    FROM vendas v
+    LEFT JOIN clientes c ON c.id = v.id_cliente
+    LEFT JOIN usuarios u ON u.id = v.id_usuario
+    ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+    ORDER BY v.data_venda, v.id
+    `,
+    params
+  );
+
+  if (vendedor === 'todos') {
+    descricao.unshift('Vendedor: todos');
+  } else if (todos) {
+    const u = await pool.query('SELECT nome FROM usuarios WHERE id = $1', [params[0]]);
+    descricao.unshift(`Vendedor: ${u.rows[0]?.nome || '-'}`);
+  }
+
+  // Agrupa por dia para os subtotais
+  const dias = [];
+  vendas.forEach(v => {
+    const dia = new Date(v.data_venda).toLocaleDateString('pt-BR');
+    if (!dias.length || dias[dias.length - 1].dia !== dia) dias.push({ dia, vendas: [], total: 0 });
+    const grupo = dias[dias.length - 1];
+    grupo.vendas.push(v);
+    // canceladas aparecem (se filtradas) mas não somam
+    if (v.status !== 'CANCELADA') grupo.total += Number(v.total || 0);
+  });
+
+  return {
+    vendas,
+    dias,
+    descricao,
+    totalVendido: dias.reduce((acc, d) => acc + d.total, 0),
+    totalDescontos: vendas.filter(v => v.status !== 'CANCELADA').reduce((acc, v) => acc + Number(v.desconto || 0), 0)
+  };
+}
+
+app.get('/relatorios/vendas-geral', requireAuth, requirePermissao('relatorios.ver', 'relatorios.todos'), async (req, res) => {
+  try {
+    const { dias, descricao, totalVendido, totalDescontos } = await consultarRelatorioVendas(req.session.usuario, pode(req, 'relatorios.todos'), req.query);
+    const horaBR = s => new Date(s).toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' });
+
+    if (req.query.formato === 'xlsx') {
+      const linhas = [['Data', 'Hora', 'ID', 'Cliente', 'Vendedor', 'Status', 'Desconto', 'Valor']];
+      dias.forEach(d => {
+        d.vendas.forEach(v => linhas.push([
+          d.dia, horaBR(v.data_venda), v.id, v.cliente, v.vendedor, STATUS_VENDA[v.status] || v.status,
+          Number(v.desconto || 0), Number(v.total || 0)
+        ]));
+        linhas.push([`Subtotal ${d.dia}`, '', '', '', '', '', '', centavos(d.total)]);
+      });
+      linhas.push(['Total vendido', '', '', '', '', '', centavos(totalDescontos), centavos(totalVendido)]);
+      return enviarPlanilha(res, 'relatorio-vendas-geral', 'xlsx', linhas);
+    }
 
     // Configura PDF
     const doc = new PDFDocument({ size: 'A4', margin: 36 });
@@ -1196,17 +5087,22 @@ ORDER BY v.id DESC
 
     // Cabeçalho
     const header = () => {
-      doc.fontSize(18).font('Helvetica-Bold').text('Relatório Geral de Vendas');
+      doc.fontSize(18).font('Helvetica-Bold').fillColor('#000').text('Relatório Geral de Vendas', doc.page.margins.left);
       doc.moveDown(0.6);
+      if (descricao.length) doc.fontSize(10).font('Helvetica').fillColor('#555').text(descricao.join(' • ')).moveDown(0.3);
       doc.fontSize(12).font('Helvetica-Bold').fillColor('#000').text(`Total vendido: ${moedaBR(totalVendido)}`);
+      doc.fontSize(10).font('Helvetica').text(`Descontos concedidos: ${moedaBR(totalDescontos)}`);
       const x0 = doc.page.margins.left, x1 = doc.page.width - doc.page.margins.right;
       doc.moveDown(0.6).moveTo(x0, doc.y).lineTo(x1, doc.y).strokeColor('#ccc').stroke().moveDown(0.6);
     };
 
     const cols = [
-      { key: 'id', label: 'ID', width: 60, align: 'left' },
-      { key: 'cliente', label: 'Cliente', width: 280, align: 'left' },
-      { key: 'total', label: 'Valor', width: 120, align: 'right' }
+      { label: 'Data', width: 95, align: 'left' },
+      { label: 'ID', width: 40, align: 'left' },
+      { label: 'Cliente', width: 150, align: 'left' },
+      { label: 'Vendedor', width: 95, align: 'left' },
+      { label: 'Desconto', width: 65, align: 'right' },
+      { label: 'Valor', width: 78, align: 'right' }
     ];
     const rowH = 18;
     const bottom = () => doc.page.height - doc.page.margins.bottom - 10;
@@ -1217,6 +5113,7 @@ ORDER BY v.id DESC
       cols.forEach(c => { doc.text(c.label, x, y, { width: c.width, align: c.align }); x += c.width; });
       const x0 = doc.page.margins.left, x1 = doc.page.width - doc.page.margins.right;
       doc.moveDown(0.2).moveTo(x0, doc.y).lineTo(x1, doc.y).strokeColor('#ddd').stroke().moveDown(0.2);
+      doc.font('Helvetica').fontSize(10);
     };
 
     const newPage = () => { doc.addPage(); header(); printTableHeader(); };
@@ -1224,27 +5121,124 @@ ORDER BY v.id DESC
     // Começo
     header();
     printTableHeader();
-    doc.font('Helvetica').fontSize(10);
 
-    vendas.forEach(v => {
+    const cortar = (txt, max) => {
+      let out = String(txt || '').trim();
+      while (doc.widthOfString(out) > max && out.length > 1) out = out.slice(0, out.length - 2) + '…';
+      return out;
+    };
+
+    dias.forEach(d => {
+      d.vendas.forEach(v => {
+        if (doc.y + rowH > bottom()) newPage();
+        const cancelada = v.status === 'CANCELADA';
+        doc.font('Helvetica').fontSize(10).fillColor(cancelada ? '#999' : '#000');
+        const cells = [
+          `${d.dia} ${horaBR(v.data_venda)}`,
+          String(v.id),
+          cortar(v.cliente + (cancelada ? ' (cancelada)' : ''), cols[2].width),
+          cortar(v.vendedor, cols[3].width),
+          Number(v.desconto) > 0 ? moedaBR(v.desconto) : '-',
+          moedaBR(v.total)
+        ];
+        let x = doc.page.margins.left; const y = doc.y;
+        cells.forEach((txt, i) => { doc.text(txt, x, y, { width: cols[i].width, align: cols[i].align }); x += cols[i].width; });
+        doc.moveDown(0.3);
+      });
+
+      // Subtotal do dia
       if (doc.y + rowH > bottom()) newPage();
-      let x = doc.page.margins.left; const y = doc.y;
+      const largura = cols.reduce((acc, c) => acc + c.width, 0);
+      const y = doc.y;
+      doc.font('Helvetica-Bold').fontSize(10).fillColor('#000')
+        .text(`Subtotal ${d.dia}: ${moedaBR(d.total)}`, doc.page.margins.left, y, { width: largura, align: 'right' });
+      doc.moveDown(0.6);
+    });
 
-      doc.text(String(v.id), x, y, { width: cols[0].width, align: cols[0].align }); 
-      x += cols[0].width;
+    if (!dias.length) doc.font('Helvetica').fontSize(10).fillColor('#777').text('Nenhuma venda encontrada com os filtros informados.', doc.page.margins.left);
 
-      const cliente = String(v.cliente || '').trim();
-      const max = cols[1].width;
-      let out = cliente;
-      while (doc.widthOfString(out) > max && out.length > 1) out = out.slice(0, out.length - 2) + '…';
-      doc.text(out, x, y, { width: max, align: 'left' }); 
-      x += cols[1].width;
+    if (doc.y + 30 > bottom()) newPage();
+    doc.moveDown(0.8).font('Helvetica').fontSize(9).fillColor('#777').text(`Gerado em: ${dataBR(new Date())}`, doc.page.margins.left);
+    doc.end();
+  } catch (e) {
+    console.error(e);
+    res.status(500).send('Erro ao gerar relatório.');
+  }
+});
+
+// === Relatório: Vendas por forma de pagamento ===
+// Mesmos filtros de vendedor e período do relatório de vendas; sem relatorios.todos, só as próprias vendas.
+app.get('/relatorios/vendas-por-pagamento', requireAuth, requirePermissao('relatorios.ver', 'relatorios.todos'), async (req, res) => {
+  try {
+    const usuario = req.session.usuario;
+    const todos = pode(req, 'relatorios.todos');
+    const where = [`v.status <> 'CANCELADA'`];
+    const params = [];
+    const descricao = [];
+
+    const vendedor = todos ? (req.query.vendedor || 'todos') : String(usuario.id);
+    if (vendedor !== 'todos') {
+      params.push(parseInt(vendedor) || usuario.id);
+      where.push(`v.id_usuario = $${params.length}`);
+      if (todos) {
+        const u = await pool.query('SELECT nome FROM usuarios WHERE id = $1', [params[0]]);
+        descricao.push(`Vendedor: ${u.rows[0]?.nome || '-'}`);
+      }
+    } else {
+      descricao.push('Vendedor: todos');
+    }
+
+    const periodo = filtroPeriodo(req.query, 'v.data_venda', where, params);
+    if (periodo) descricao.push(periodo);
+
+    const { rows } = await pool.query(`
+      SELECT
+        pg.forma,
+        COUNT(DISTINCT v.id)::int AS vendas,
+        COALESCE(SUM(pg.valor), 0) AS total
+      FROM pagamentos_venda pg
+      JOIN vendas v ON v.id = pg.id_venda
+      WHERE ${where.join(' AND ')}
+      GROUP BY pg.forma
+      ORDER BY total DESC
+    `, params);
+
+    const totalGeral = rows.reduce((acc, r) => acc + Number(r.total || 0), 0);
+
+    const doc = new PDFDocument({ size: 'A4', margin: 36 });
+    res.attachment('relatorio-vendas-por-pagamento.pdf');
+    res.setHeader('Content-Type', 'application/pdf');
+    doc.pipe(res);
+
+    const moedaBR = v => (Number(v) || 0).toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+    const dataBR = s => { const d = new Date(s); return isNaN(d) ? String(s) : d.toLocaleString('pt-BR'); };
+
+    doc.fontSize(18).font('Helvetica-Bold').text('Relatório de Vendas por Forma de Pagamento');
+    doc.moveDown(0.6);
+    if (descricao.length) doc.fontSize(10).font('Helvetica').fillColor('#555').text(descricao.join(' • ')).moveDown(0.3);
+    doc.fontSize(12).font('Helvetica-Bold').fillColor('#000').text(`Total recebido: ${moedaBR(totalGeral)}`);
+    const x0 = doc.page.margins.left, x1 = doc.page.width - doc.page.margins.right;
+    doc.moveDown(0.6).moveTo(x0, doc.y).lineTo(x1, doc.y).strokeColor('#ccc').stroke().moveDown(0.6);
+
+    const cols = [
+      { label: 'Forma de pagamento', width: 260, align: 'left' },
+      { label: 'Vendas', width: 100, align: 'right' },
+      { label: 'Valor', width: 140, align: 'right' }
+    ];
+    doc.font('Helvetica-Bold').fontSize(11);
+    let x = x0; let y = doc.y;
+    cols.forEach(c => { doc.text(c.label, x, y, { width: c.width, align: c.align }); x += c.width; });
+    doc.moveDown(0.2).moveTo(x0, doc.y).lineTo(x1, doc.y).strokeColor('#ddd').stroke().moveDown(0.2);
 
-      doc.text(moedaBR(v.total), x, y, { width: cols[2].width, align: 'right' });
+    doc.font('Helvetica').fontSize(10);
+    rows.forEach(r => {
+      x = x0; y = doc.y;
+      doc.text(FORMAS_PAGAMENTO[r.forma] || r.forma, x, y, { width: cols[0].width, align: 'left' }); x += cols[0].width;
+      doc.text(String(r.vendas), x, y, { width: cols[1].width, align: 'right' }); x += cols[1].width;
+      doc.text(moedaBR(r.total), x, y, { width: cols[2].width, align: 'right' });
       doc.moveDown(0.3);
     });
 
-    if (doc.y + 30 > bottom()) newPage();
     doc.moveDown(0.8).fontSize(9).fillColor('#777').text(`Gerado em: ${dataBR(new Date())}`);
     doc.end();
   } catch (e) {
@@ -1256,25 +5250,84 @@ ORDER BY v.id DESC
 ////relatorio de itens
 
 // === Relatório: Itens Vendidos (agregado por produto) ===
-
-
-app.get('/relatorios/itens-vendidos-geral', async (req, res) => {
+// Considera só o que ficou vendido: ignora vendas canceladas e desconta as unidades devolvidas.
+// Receita = preço praticado (já sem o desconto do item); custo = custo congelado na venda
+// (vendas antigas, sem custo_unitario, usam o custo atual do produto).
+const ORDENS_ITENS_VENDIDOS = {
+  quantidade: { label: 'quantidade', sql: 'quantidade DESC' },
+  receita: { label: 'receita', sql: 'receita DESC' },
+  margem: { label: 'margem', sql: 'margem DESC' }
+};
+
+// ?agrupar=categoria soma por categoria do produto; ?categoria=ID restringe à categoria e subcategorias
+const AGRUPAMENTOS_ITENS_VENDIDOS = {
+  produto: { label: 'Produto', chave: 'id_produto', nome: 'produto' },
+  categoria: { label: 'Categoria', chave: 'id_categoria', nome: 'categoria' }
+};
+
+app.get('/relatorios/itens-vendidos-geral', requireAuth, requirePermissao('relatorios.todos'), async (req, res) => {
   try {
-    // Agregado por produto
-    const sql = `
-      SELECT 
-        p.id                 AS id_produto,
-        COALESCE(p.nome, '') AS produto,
-        COALESCE(SUM(i.quantidade), 0) AS quantidade
-      FROM itens_venda i
-      JOIN produtos p ON p.id = i.id_produto
-      GROUP BY p.id, p.nome
-      ORDER BY quantidade DESC, p.nome ASC
-    `;
-    const { rows } = await pool.query(sql);
+    const where = [`v.status <> 'CANCELADA'`];
+    const params = [];
+    const periodo = filtroPeriodo(req.query, 'v.data_venda', where, params);
+    const ordem = ORDENS_ITENS_VENDIDOS[req.query.ordem] || ORDENS_ITENS_VENDIDOS.quantidade;
+    const agrupar = AGRUPAMENTOS_ITENS_VENDIDOS[req.query.agrupar] || AGRUPAMENTOS_ITENS_VENDIDOS.produto;
+    const idCategoria = lerIdCategoria(req.query.categoria);
+    let categoriaFiltro = null;
+    if (idCategoria) {
+      params.push(idCategoria);
+      where.push(sqlCategoriaOuSubcategorias('p.id_categoria', params.length));
+      const { rows: [c] } = await pool.query(`${SQL_ARVORE_CATEGORIAS} SELECT caminho FROM arvore WHERE id = $1`, [idCategoria]);
+      categoriaFiltro = c ? c.caminho : null;
+    }
 
-    // Total geral de itens vendidos (soma das quantidades)
-    const totalItens = rows.reduce((acc, r) => acc + Number(r.quantidade || 0), 0);
+    // Agregado por produto ou por categoria
+    const sql = `${SQL_ARVORE_CATEGORIAS}
+      SELECT
+        ${agrupar.chave} AS id_produto, ${agrupar.nome} AS produto,
+        SUM(qtd)::int AS quantidade,
+        SUM(receita) AS receita,
+        SUM(custo) AS custo,
+        SUM(receita) - SUM(custo) AS margem
+      FROM (
+        SELECT
+          p.id                 AS id_produto,
+          COALESCE(p.nome, '') AS produto,
+          p.id_categoria,
+          COALESCE(cat.caminho, 'Sem categoria') AS categoria,
+          i.quantidade - i.quantidade_devolvida AS qtd,
+          (i.quantidade - i.quantidade_devolvida) * (i.preco_unitario - COALESCE(i.desconto, 0) / i.quantidade) AS receita,
+          (i.quantidade - i.quantidade_devolvida) * COALESCE(i.custo_unitario, p.valor_unitario, 0) AS custo
+        FROM itens_venda i
+        JOIN vendas v ON v.id = i.id_venda
+        JOIN produtos p ON p.id = i.id_produto
+        LEFT JOIN arvore cat ON cat.id = p.id_categoria
+        WHERE ${where.join(' AND ')}
+      ) t
+      GROUP BY ${agrupar.chave}, ${agrupar.nome}
+      HAVING SUM(qtd) > 0
+      ORDER BY ${ordem.sql}, produto ASC
+    `;
+    const { rows } = await pool.query(sql, params);
+
+    // Totais gerais
+    const soma = campo => rows.reduce((acc, r) => acc + Number(r[campo] || 0), 0);
+    const totalItens = soma('quantidade');
+    const totalReceita = soma('receita');
+    const totalCusto = soma('custo');
+    const totalMargem = totalReceita - totalCusto;
+    const pct = (margem, receita) => Number(receita) > 0 ? Number(margem) / Number(receita) * 100 : 0;
+
+    if (req.query.formato === 'xlsx') {
+      return enviarPlanilha(res, 'relatorio-itens-vendidos', 'xlsx', [
+        [`ID ${agrupar.label}`, agrupar.label, 'Quantidade', 'Receita', 'Custo', 'Margem', 'Margem %'],
+        ...rows.map(r => [
+          r.id_produto ?? '', r.produto, Number(r.quantidade),
+          centavos(r.receita), centavos(r.custo), centavos(r.margem), centavos(pct(r.margem, r.receita))
+        ]),
+        ['', 'Total', totalItens, centavos(totalReceita), centavos(totalCusto), centavos(totalMargem), centavos(pct(totalMargem, totalReceita))]
+      ]);
+    }
 
     // PDF
     const doc = new PDFDocument({ size: 'A4', margin: 36 });
@@ -1284,12 +5337,20 @@ app.get('/relatorios/itens-vendidos-geral', async (req, res) => {
     doc.pipe(res);
 
     const dataBR = d => new Date(d).toLocaleString('pt-BR');
+    const moedaBR = v => (Number(v) || 0).toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+    const pctBR = v => `${v.toLocaleString('pt-BR', { minimumFractionDigits: 1, maximumFractionDigits: 1 })}%`;
 
     // Cabeçalho
     const header = () => {
-      doc.fontSize(18).font('Helvetica-Bold').text('Relatório: Itens Vendidos (Geral)');
+      doc.fontSize(18).font('Helvetica-Bold').fillColor('#000').text('Relatório: Itens Vendidos', doc.page.margins.left);
       doc.moveDown(0.4);
-      doc.fontSize(12).font('Helvetica-Bold').text(`Total de itens vendidos: ${totalItens.toLocaleString('pt-BR')}`);
+      doc.fontSize(10).font('Helvetica').fillColor('#555')
+        .text(`${periodo || 'Período: todo o histórico'} • Por ${agrupar.label.toLowerCase()} • Ordenado por ${ordem.label}`
+          + (categoriaFiltro ? ` • Categoria: ${categoriaFiltro}` : ''));
+      doc.moveDown(0.3);
+      doc.fontSize(12).font('Helvetica-Bold').fillColor('#000').text(`Total de itens vendidos: ${totalItens.toLocaleString('pt-BR')}`);
+      doc.fontSize(10).font('Helvetica')
+        .text(`Receita: ${moedaBR(totalReceita)} • Custo: ${moedaBR(totalCusto)} • Margem bruta: ${moedaBR(totalMargem)} (${pctBR(pct(totalMargem, totalReceita))})`);
       const x0 = doc.page.margins.left;
       const x1 = doc.page.width - doc.page.margins.right;
       doc.moveDown(0.6).moveTo(x0, doc.y).lineTo(x1, doc.y).strokeColor('#ccc').stroke().moveDown(0.6);
@@ -1297,22 +5358,27 @@ app.get('/relatorios/itens-vendidos-geral', async (req, res) => {
 
     // Tabela
     const cols = [
-      { key: 'id_produto', label: 'ID Produto', width: 90, align: 'left' },
-      { key: 'produto',    label: 'Produto',    width: 300, align: 'left' },
-      { key: 'quantidade', label: 'Quantidade', width: 120, align: 'right' }
+      { label: 'ID', width: 40, align: 'left' },
+      { label: agrupar.label, width: 170, align: 'left' },
+      { label: 'Qtd', width: 45, align: 'right' },
+      { label: 'Receita', width: 75, align: 'right' },
+      { label: 'Custo', width: 75, align: 'right' },
+      { label: 'Margem', width: 75, align: 'right' },
+      { label: '%', width: 43, align: 'right' }
     ];
     const rowH = 18;
     const bottom = () => doc.page.height - doc.page.margins.bottom - 10;
 
     const printTableHeader = () => {
-      doc.font('Helvetica-Bold').fontSize(11);
-      let x = doc.page.margins.left;
+      doc.font('Helvetica-Bold').fontSize(11).fillColor('#000');
+      let x = doc.page.margins.left; const y = doc.y;
       cols.forEach(c => {
-        doc.text(c.label, x, doc.y, { width: c.width, align: c.align });
+        doc.text(c.label, x, y, { width: c.width, align: c.align });
         x += c.width;
       });
       const x0 = doc.page.margins.left, x1 = doc.page.width - doc.page.margins.right;
       doc.moveDown(0.2).moveTo(x0, doc.y).lineTo(x1, doc.y).strokeColor('#ddd').stroke().moveDown(0.2);
+      doc.font('Helvetica').fontSize(10);
     };
 
     const newPage = () => { doc.addPage(); header(); printTableHeader(); };
@@ -1320,36 +5386,40 @@ app.get('/relatorios/itens-vendidos-geral', async (req, res) => {
     // Render
     header();
     printTableHeader();
-    doc.font('Helvetica').fontSize(10);
 
     rows.forEach(r => {
       if (doc.y + rowH > bottom()) newPage();
 
-      let x = doc.page.margins.left;
-
-      // ID Produto
-      doc.text(String(r.id_produto), x, doc.y, { width: cols[0].width, align: cols[0].align });
-      x += cols[0].width;
-
       // Produto com truncamento elegante
       let nome = String(r.produto || '').trim();
-      const maxW = cols[1].width;
-      while (doc.widthOfString(nome) > maxW && nome.length > 1) {
+      while (doc.widthOfString(nome) > cols[1].width && nome.length > 1) {
         nome = nome.slice(0, nome.length - 2) + '…';
       }
-      doc.text(nome, x, doc.y, { width: maxW, align: 'left' });
-      x += cols[1].width;
-
-      // Quantidade
-      const qtdStr = Number(r.quantidade || 0).toLocaleString('pt-BR');
-      doc.text(qtdStr, x, doc.y, { width: cols[2].width, align: 'right' });
+      const margem = Number(r.margem || 0);
+      const cells = [
+        String(r.id_produto ?? '-'),
+        nome,
+        Number(r.quantidade || 0).toLocaleString('pt-BR'),
+        moedaBR(r.receita),
+        moedaBR(r.custo),
+        moedaBR(margem),
+        pctBR(pct(margem, r.receita))
+      ];
 
+      let x = doc.page.margins.left; const y = doc.y;
+      cells.forEach((txt, i) => {
+        doc.fillColor(i >= 5 && margem < 0 ? '#c00' : '#000');
+        doc.text(txt, x, y, { width: cols[i].width, align: cols[i].align });
+        x += cols[i].width;
+      });
       doc.moveDown(0.3);
     });
 
+    if (!rows.length) doc.fillColor('#777').text('Nenhum item vendido no período.', doc.page.margins.left);
+
     // Rodapé
     if (doc.y + 30 > bottom()) newPage();
-    doc.moveDown(0.8).fontSize(9).fillColor('#777').text(`Gerado em: ${dataBR(new Date())}`);
+    doc.moveDown(0.8).fontSize(9).fillColor('#777').text(`Gerado em: ${dataBR(new Date())}`, doc.page.margins.left);
     doc.end();
   } catch (e) {
     console.error(e);
@@ -1357,8 +5427,124 @@ app.get('/relatorios/itens-vendidos-geral', async (req, res) => {
   }
 });
 
+// Produtos abaixo do estoque mínimo, com sugestão de reposição
+app.get('/relatorios/estoque-baixo', requireAuth, requirePermissao('relatorios.ver', 'relatorios.todos'), async (req, res) => {
+  try {
+    const { rows } = await pool.query(`
+      SELECT
+        p.id, p.nome, p.barcode, p.estoque_minimo, p.quantidade_reposicao,
+        COALESCE(e.quantidade, 0) AS quantidade,
+        p.estoque_minimo - COALESCE(e.quantidade, 0) AS falta
+      FROM produtos p
+      LEFT JOIN estoque e ON e.id_produto = p.id
+      WHERE p.arquivado_em IS NULL AND p.estoque_minimo > 0 AND COALESCE(e.quantidade, 0) < p.estoque_minimo
+      ORDER BY COALESCE(e.quantidade, 0) <= 0 DESC, falta DESC, p.nome ASC
+    `);
+    // Sem quantidade de reposição cadastrada, sugere o suficiente para voltar ao mínimo
+    const reposicao = r => Math.max(Number(r.quantidade_reposicao) || 0, Number(r.falta));
+    const zerados = rows.filter(r => Number(r.quantidade) <= 0).length;
+
+    if (req.query.formato === 'xlsx') {
+      return enviarPlanilha(res, 'relatorio-estoque-baixo', 'xlsx', [
+        ['ID Produto', 'Produto', 'Código de Barras', 'Estoque', 'Mínimo', 'Falta', 'Reposição Sugerida'],
+        ...rows.map(r => [
+          r.id, r.nome, r.barcode || '', Number(r.quantidade), Number(r.estoque_minimo), Number(r.falta), reposicao(r)
+        ])
+      ]);
+    }
+
+    // PDF
+    const doc = new PDFDocument({ size: 'A4', margin: 36 });
+    res.attachment('relatorio-estoque-baixo.pdf');
+    res.setHeader('Content-Type', 'application/pdf');
+    doc.pipe(res);
+
+    const dataBR = d => new Date(d).toLocaleString('pt-BR');
+
+    // Cabeçalho
+    const header = () => {
+      doc.fontSize(18).font('Helvetica-Bold').fillColor('#000').text('Relatório: Produtos com Baixo Estoque', doc.page.margins.left);
+      doc.moveDown(0.4);
+      doc.fontSize(12).font('Helvetica-Bold').text(`Produtos abaixo do mínimo: ${rows.length}`);
+      doc.fontSize(10).font('Helvetica').fillColor('#555').text(`Sem estoque: ${zerados}`);
+      const x0 = doc.page.margins.left;
+      const x1 = doc.page.width - doc.page.margins.right;
+      doc.moveDown(0.6).moveTo(x0, doc.y).lineTo(x1, doc.y).strokeColor('#ccc').stroke().moveDown(0.6);
+    };
+
+    // Tabela
+    const cols = [
+      { label: 'ID', width: 40, align: 'left' },
+      { label: 'Produto', width: 180, align: 'left' },
+      { label: 'Código', width: 95, align: 'left' },
+      { label: 'Estoque', width: 50, align: 'right' },
+      { label: 'Mínimo', width: 50, align: 'right' },
+      { label: 'Falta', width: 45, align: 'right' },
+      { label: 'Repor', width: 63, align: 'right' }
+    ];
+    const rowH = 18;
+    const bottom = () => doc.page.height - doc.page.margins.bottom - 10;
+
+    const printTableHeader = () => {
+      doc.font('Helvetica-Bold').fontSize(11).fillColor('#000');
+      let x = doc.page.margins.left; const y = doc.y;
+      cols.forEach(c => {
+        doc.text(c.label, x, y, { width: c.width, align: c.align });
+        x += c.width;
+      });
+      const x0 = doc.page.margins.left, x1 = doc.page.width - doc.page.margins.right;
+      doc.moveDown(0.2).moveTo(x0, doc.y).lineTo(x1, doc.y).strokeColor('#ddd').stroke().moveDown(0.2);
+      doc.font('Helvetica').fontSize(10);
+    };
+
+    const newPage = () => { doc.addPage(); header(); printTableHeader(); };
+
+    // Render
+    header();
+    printTableHeader();
+
+    rows.forEach(r => {
+      if (doc.y + rowH > bottom()) newPage();
+
+      let nome = String(r.nome || '').trim();
+      while (doc.widthOfString(nome) > cols[1].width && nome.length > 1) {
+        nome = nome.slice(0, nome.length - 2) + '…';
+      }
+      const cells = [
+        String(r.id),
+        nome,
+        r.barcode || '-',
+        Number(r.quantidade).toLocaleString('pt-BR'),
+        Number(r.estoque_minimo).toLocaleString('pt-BR'),
+        Number(r.falta).toLocaleString('pt-BR'),
+        reposicao(r).toLocaleString('pt-BR')
+      ];
+
+      let x = doc.page.margins.left; const y = doc.y;
+      cells.forEach((txt, i) => {
+        doc.fillColor(i === 3 && Number(r.quantidade) <= 0 ? '#c00' : '#000');
+        doc.text(txt, x, y, { width: cols[i].width, align: cols[i].align });
+        x += cols[i].width;
+      });
+      doc.moveDown(0.3);
+    });
+
+    if (!rows.length) doc.fillColor('#777').text('Nenhum produto abaixo do estoque mínimo.', doc.page.margins.left);
+
+    // Rodapé
+    if (doc.y + 30 > bottom()) newPage();
+    doc.moveDown(0.8).fontSize(9).fillColor('#777').text(`Gerado em: ${dataBR(new Date())}`, doc.page.margins.left);
+    doc.end();
+  } catch (e) {
+    console.error(e);
+    res.status(500).send('Erro ao gerar relatório de estoque baixo.');
+  }
+});
+
+
 
 
 app.listen(port, () => {
   console.log(`Servidor rodando em http://localhost:${port}`);
+  limparUploadsOrfaos();
 });
@@ -31,6 +31,47 @@ SET row_security = off;
 
 ALTER SCHEMA public OWNER TO postgres;
 
+--
+-- Name: pg_trgm; Type: EXTENSION; Schema: -; Owner: -
+--
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm WITH SCHEMA public;
+
+
+--
+-- Name: EXTENSION pg_trgm; Type: COMMENT; Schema: -; Owner: 
+--
+
+COMMENT ON EXTENSION pg_trgm IS 'text similarity measurement and index searching based on trigrams';
+
+
+--
+-- Name: unaccent; Type: EXTENSION; Schema: -; Owner: -
+--
+
+CREATE EXTENSION IF NOT EXISTS unaccent WITH SCHEMA public;
+
+
+--
+-- Name: EXTENSION unaccent; Type: COMMENT; Schema: -; Owner: 
+--
+
+COMMENT ON EXTENSION unaccent IS 'text search dictionary that removes accents';
+
+--
+-- Name: f_unaccent(text); Type: FUNCTION; Schema: public; Owner: postgres
+-- unaccent() é STABLE; esta versão IMMUTABLE (dicionário fixo) pode ser usada em índice.
+--
+
+CREATE FUNCTION public.f_unaccent(text) RETURNS text
+    LANGUAGE sql IMMUTABLE STRICT PARALLEL SAFE
+    AS $_$
+SELECT public.unaccent('public.unaccent'::regdictionary, $1)
+$_$;
+
+
+ALTER FUNCTION public.f_unaccent(text) OWNER TO postgres;
+
 --
 -- TOC entry 232 (class 1255 OID 16389)
 -- Name: update_updated_at_column(); Type: FUNCTION; Schema: public; Owner: postgres
@@ -48,6 +89,28 @@ $$;
 
 ALTER FUNCTION public.update_updated_at_column() OWNER TO postgres;
 
+--
+-- Name: produtos_etiqueta_desatualizada(); Type: FUNCTION; Schema: public; Owner: postgres
+-- Mudou o nome ou o preço que sai na etiqueta (valor_venda, ou valor_unitario sem preço de venda):
+-- nova versão da etiqueta e produto volta para a fila de impressão. Vale para edição, carga e estorno.
+--
+
+CREATE FUNCTION public.produtos_etiqueta_desatualizada() RETURNS trigger
+    LANGUAGE plpgsql
+    AS $$
+BEGIN
+    IF NEW.nome IS DISTINCT FROM OLD.nome
+       OR COALESCE(NEW.valor_venda, NEW.valor_unitario) IS DISTINCT FROM COALESCE(OLD.valor_venda, OLD.valor_unitario) THEN
+        NEW.etiqueta_versao = OLD.etiqueta_versao + 1;
+        NEW.etiquetas_impressas = false;
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+
+ALTER FUNCTION public.produtos_etiqueta_desatualizada() OWNER TO postgres;
+
 SET default_tablespace = '';
 
 SET default_table_access_method = heap;
@@ -65,7 +128,8 @@ CREATE TABLE public.clientes (
     telefone character varying(20),
     endereco text,
     created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP,
-    updated_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP
+    updated_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP,
+    arquivado_em timestamp without time zone
 );
 
 
@@ -148,7 +212,13 @@ CREATE TABLE public.itens_venda (
     id_produto integer,
     quantidade integer NOT NULL,
     preco_unitario numeric(10,2) NOT NULL,
-    subtotal numeric(10,2) GENERATED ALWAYS AS (((quantidade)::numeric * preco_unitario)) STORED
+    subtotal numeric(10,2) GENERATED ALWAYS AS (((quantidade)::numeric * preco_unitario)) STORED,
+    quantidade_devolvida integer DEFAULT 0 NOT NULL,
+    id_devolucao integer,
+    desconto_tipo character varying(10),
+    desconto_valor numeric(10,2),
+    desconto numeric(10,2) DEFAULT 0 NOT NULL,
+    custo_unitario numeric(10,2)
 );
 
 
@@ -193,7 +263,15 @@ CREATE TABLE public.produtos (
     descricao text,
     created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP,
     updated_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP,
-    etiquetas_impressas boolean DEFAULT false
+    etiquetas_impressas boolean DEFAULT false,
+    estoque_minimo integer DEFAULT 0 NOT NULL,
+    quantidade_reposicao integer,
+    etiqueta_versao integer DEFAULT 1 NOT NULL,
+    etiqueta_versao_impressa integer,
+    etiqueta_impressa_em timestamp without time zone,
+    unidade character varying(10) DEFAULT 'UN'::character varying NOT NULL,
+    id_categoria integer,
+    arquivado_em timestamp without time zone
 );
 
 
@@ -250,7 +328,15 @@ CREATE TABLE public.usuarios (
     senha_hash text NOT NULL,
     role character varying(20) DEFAULT 'user'::character varying NOT NULL,
     created_at timestamp without time zone DEFAULT now(),
-    updated_at timestamp without time zone DEFAULT now()
+    updated_at timestamp without time zone DEFAULT now(),
+    ativo boolean DEFAULT true NOT NULL,
+    senha_temporaria boolean DEFAULT false NOT NULL,
+    ultimo_login timestamp without time zone,
+    totp_segredo character varying(64),
+    totp_ativo boolean DEFAULT false NOT NULL,
+    totp_obrigatorio boolean DEFAULT false NOT NULL,
+    totp_ultimo_passo bigint,
+    totp_recuperacao text[]
 );
 
 
@@ -291,7 +377,14 @@ CREATE TABLE public.vendas (
     id_cliente integer,
     total numeric(10,2) NOT NULL,
     data_venda timestamp without time zone DEFAULT CURRENT_TIMESTAMP,
-    status character varying(20) DEFAULT 'CONCLUIDA'::character varying NOT NULL
+    status character varying(20) DEFAULT 'CONCLUIDA'::character varying NOT NULL,
+    id_usuario integer,
+    total_devolvido numeric(10,2) DEFAULT 0 NOT NULL,
+    troco numeric(10,2) DEFAULT 0 NOT NULL,
+    desconto_tipo character varying(10),
+    desconto_valor numeric(10,2),
+    desconto numeric(10,2) DEFAULT 0 NOT NULL,
+    id_caixa integer
 );
 
 
@@ -370,6 +463,491 @@ ALTER TABLE ONLY public.usuarios ALTER COLUMN id SET DEFAULT nextval('public.usu
 ALTER TABLE ONLY public.vendas ALTER COLUMN id SET DEFAULT nextval('public.vendas_id_seq'::regclass);
 
 
+--
+-- Name: movimentacoes_estoque; Type: TABLE; Schema: public; Owner: postgres
+-- tipo: ENTRADA, AJUSTE, VENDA, ESTORNO, CARGA, ESTORNO_CARGA, DEVOLUCAO, TROCA
+-- id_carga: lote de importação que gerou a movimentação (CARGA / ESTORNO_CARGA)
+-- quantidade: variação (positiva ou negativa); saldo: estoque resultante
+--
+
+CREATE SEQUENCE public.movimentacoes_estoque_id_seq
+    AS integer
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
+
+CREATE TABLE public.movimentacoes_estoque (
+    id integer DEFAULT nextval('public.movimentacoes_estoque_id_seq'::regclass) NOT NULL,
+    id_produto integer NOT NULL,
+    tipo character varying(20) NOT NULL,
+    quantidade integer NOT NULL,
+    saldo integer NOT NULL,
+    id_usuario integer,
+    id_venda integer,
+    motivo text,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP,
+    id_carga integer
+);
+
+ALTER TABLE public.movimentacoes_estoque OWNER TO postgres;
+ALTER SEQUENCE public.movimentacoes_estoque_id_seq OWNER TO postgres;
+ALTER SEQUENCE public.movimentacoes_estoque_id_seq OWNED BY public.movimentacoes_estoque.id;
+
+CREATE INDEX movimentacoes_estoque_produto_idx ON public.movimentacoes_estoque USING btree (id_produto, created_at);
+
+
+--
+-- Name: devolucoes; Type: TABLE; Schema: public; Owner: postgres
+-- Devolução parcial (e troca) de itens de uma venda.
+-- Itens entregues na troca entram em itens_venda com id_devolucao preenchido.
+--
+
+CREATE SEQUENCE public.devolucoes_id_seq
+    AS integer
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
+
+CREATE TABLE public.devolucoes (
+    id integer DEFAULT nextval('public.devolucoes_id_seq'::regclass) NOT NULL,
+    id_venda integer NOT NULL,
+    id_usuario integer,
+    motivo text,
+    valor_devolvido numeric(10,2) DEFAULT 0 NOT NULL,
+    valor_trocado numeric(10,2) DEFAULT 0 NOT NULL,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP,
+    forma_acerto character varying(10),
+    id_caixa integer
+);
+
+ALTER TABLE public.devolucoes OWNER TO postgres;
+ALTER SEQUENCE public.devolucoes_id_seq OWNER TO postgres;
+ALTER SEQUENCE public.devolucoes_id_seq OWNED BY public.devolucoes.id;
+
+
+--
+-- Name: itens_devolucao; Type: TABLE; Schema: public; Owner: postgres
+--
+
+CREATE SEQUENCE public.itens_devolucao_id_seq
+    AS integer
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
+
+CREATE TABLE public.itens_devolucao (
+    id integer DEFAULT nextval('public.itens_devolucao_id_seq'::regclass) NOT NULL,
+    id_devolucao integer NOT NULL,
+    id_item_venda integer NOT NULL,
+    id_produto integer NOT NULL,
+    quantidade integer NOT NULL,
+    preco_unitario numeric(10,2) NOT NULL
+);
+
+ALTER TABLE public.itens_devolucao OWNER TO postgres;
+ALTER SEQUENCE public.itens_devolucao_id_seq OWNER TO postgres;
+ALTER SEQUENCE public.itens_devolucao_id_seq OWNED BY public.itens_devolucao.id;
+
+
+--
+-- Name: pagamentos_venda; Type: TABLE; Schema: public; Owner: postgres
+-- forma: DINHEIRO, PIX, DEBITO, CREDITO
+-- valor: quanto abateu da venda; valor_recebido: quanto foi entregue (difere só no dinheiro com troco)
+--
+
+CREATE SEQUENCE public.pagamentos_venda_id_seq
+    AS integer
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
+
+CREATE TABLE public.pagamentos_venda (
+    id integer DEFAULT nextval('public.pagamentos_venda_id_seq'::regclass) NOT NULL,
+    id_venda integer NOT NULL,
+    forma character varying(20) NOT NULL,
+    valor numeric(10,2) NOT NULL,
+    valor_recebido numeric(10,2) NOT NULL,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE public.pagamentos_venda OWNER TO postgres;
+ALTER SEQUENCE public.pagamentos_venda_id_seq OWNER TO postgres;
+ALTER SEQUENCE public.pagamentos_venda_id_seq OWNED BY public.pagamentos_venda.id;
+
+CREATE INDEX pagamentos_venda_venda_idx ON public.pagamentos_venda USING btree (id_venda);
+
+
+--
+-- Name: caixas; Type: TABLE; Schema: public; Owner: postgres
+-- status: ABERTO, FECHADO (no máximo um caixa ABERTO por usuário)
+-- valor_esperado/valor_contado/diferenca: preenchidos no fechamento
+--
+
+CREATE SEQUENCE public.caixas_id_seq
+    AS integer
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
+
+CREATE TABLE public.caixas (
+    id integer DEFAULT nextval('public.caixas_id_seq'::regclass) NOT NULL,
+    id_usuario integer NOT NULL,
+    status character varying(10) DEFAULT 'ABERTO'::character varying NOT NULL,
+    valor_abertura numeric(10,2) DEFAULT 0 NOT NULL,
+    valor_esperado numeric(10,2),
+    valor_contado numeric(10,2),
+    diferenca numeric(10,2),
+    observacao text,
+    aberto_em timestamp without time zone DEFAULT CURRENT_TIMESTAMP,
+    fechado_em timestamp without time zone
+);
+
+ALTER TABLE public.caixas OWNER TO postgres;
+ALTER SEQUENCE public.caixas_id_seq OWNER TO postgres;
+ALTER SEQUENCE public.caixas_id_seq OWNED BY public.caixas.id;
+
+CREATE UNIQUE INDEX caixas_usuario_aberto_idx ON public.caixas USING btree (id_usuario) WHERE ((status)::text = 'ABERTO'::text);
+
+
+--
+-- Name: caixa_movimentos; Type: TABLE; Schema: public; Owner: postgres
+-- tipo: SANGRIA (retirada de dinheiro), SUPRIMENTO (reforço de troco), DEVOLUCAO e TROCA (acerto de
+-- devolução em dinheiro, com id_devolucao), ESTORNO (dinheiro devolvido ao cancelar a venda id_venda)
+--
+
+CREATE SEQUENCE public.caixa_movimentos_id_seq
+    AS integer
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
+
+CREATE TABLE public.caixa_movimentos (
+    id integer DEFAULT nextval('public.caixa_movimentos_id_seq'::regclass) NOT NULL,
+    id_caixa integer NOT NULL,
+    tipo character varying(12) NOT NULL,
+    valor numeric(10,2) NOT NULL,
+    motivo text,
+    id_usuario integer,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP,
+    id_devolucao integer,
+    id_venda integer
+);
+
+ALTER TABLE public.caixa_movimentos OWNER TO postgres;
+ALTER SEQUENCE public.caixa_movimentos_id_seq OWNER TO postgres;
+ALTER SEQUENCE public.caixa_movimentos_id_seq OWNED BY public.caixa_movimentos.id;
+
+CREATE INDEX caixa_movimentos_caixa_idx ON public.caixa_movimentos USING btree (id_caixa);
+
+
+--
+-- Name: cargas_produtos; Type: TABLE; Schema: public; Owner: postgres
+-- Um registro por planilha importada em /carga-produtos
+-- arquivo: caminho da cópia guardada em uploads/cargas/; status: ATIVA, DESFEITA
+--
+
+CREATE SEQUENCE public.cargas_produtos_id_seq
+    AS integer
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
+
+CREATE TABLE public.cargas_produtos (
+    id integer DEFAULT nextval('public.cargas_produtos_id_seq'::regclass) NOT NULL,
+    arquivo_nome character varying(255) NOT NULL,
+    arquivo character varying(255),
+    id_usuario integer,
+    criados integer DEFAULT 0 NOT NULL,
+    atualizados integer DEFAULT 0 NOT NULL,
+    ignorados integer DEFAULT 0 NOT NULL,
+    status character varying(10) DEFAULT 'ATIVA'::character varying NOT NULL,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP,
+    desfeita_em timestamp without time zone,
+    desfeita_por integer
+);
+
+ALTER TABLE public.cargas_produtos OWNER TO postgres;
+ALTER SEQUENCE public.cargas_produtos_id_seq OWNER TO postgres;
+ALTER SEQUENCE public.cargas_produtos_id_seq OWNED BY public.cargas_produtos.id;
+
+
+--
+-- Name: cargas_produtos_itens; Type: TABLE; Schema: public; Owner: postgres
+-- acao: NOVO (produto criado pela carga), ATUALIZAR (preço/estoque alterados)
+-- *_anterior: valores antes da carga, usados para desfazê-la; *_novo: valores gravados pela carga (desfazer só
+-- volta o preço que ainda é o da carga); quantidade: variação aplicada no estoque
+--
+
+CREATE SEQUENCE public.cargas_produtos_itens_id_seq
+    AS integer
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
+
+CREATE TABLE public.cargas_produtos_itens (
+    id integer DEFAULT nextval('public.cargas_produtos_itens_id_seq'::regclass) NOT NULL,
+    id_carga integer NOT NULL,
+    id_produto integer NOT NULL,
+    linha integer,
+    acao character varying(10) NOT NULL,
+    valor_unitario_anterior numeric(10,2),
+    valor_venda_anterior numeric(10,2),
+    quantidade integer DEFAULT 0 NOT NULL,
+    unidade_anterior character varying(10),
+    id_categoria_anterior integer,
+    valor_unitario_novo numeric(10,2),
+    valor_venda_novo numeric(10,2)
+);
+
+ALTER TABLE public.cargas_produtos_itens OWNER TO postgres;
+ALTER SEQUENCE public.cargas_produtos_itens_id_seq OWNER TO postgres;
+ALTER SEQUENCE public.cargas_produtos_itens_id_seq OWNED BY public.cargas_produtos_itens.id;
+
+CREATE INDEX cargas_produtos_itens_carga_idx ON public.cargas_produtos_itens USING btree (id_carga);
+CREATE INDEX cargas_produtos_itens_produto_idx ON public.cargas_produtos_itens USING btree (id_produto);
+
+--
+-- Name: produtos_codigos; Type: TABLE; Schema: public; Owner: postgres
+-- Códigos de barras externos (de fabricante) de cada produto, além do código interno em produtos.barcode
+--
+
+CREATE SEQUENCE public.produtos_codigos_id_seq
+    AS integer
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
+
+CREATE TABLE public.produtos_codigos (
+    id integer DEFAULT nextval('public.produtos_codigos_id_seq'::regclass) NOT NULL,
+    id_produto integer NOT NULL,
+    codigo character varying(50) NOT NULL,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE public.produtos_codigos OWNER TO postgres;
+ALTER SEQUENCE public.produtos_codigos_id_seq OWNER TO postgres;
+ALTER SEQUENCE public.produtos_codigos_id_seq OWNED BY public.produtos_codigos.id;
+
+CREATE UNIQUE INDEX produtos_codigos_codigo_key ON public.produtos_codigos USING btree (codigo);
+CREATE INDEX produtos_codigos_produto_idx ON public.produtos_codigos USING btree (id_produto);
+CREATE UNIQUE INDEX produtos_barcode_key ON public.produtos USING btree (barcode);
+CREATE INDEX produtos_busca_trgm_idx ON public.produtos USING gin (public.f_unaccent(lower((((nome)::text || ' '::text) || COALESCE(descricao, ''::text)))) public.gin_trgm_ops);
+
+CREATE TRIGGER produtos_etiqueta_desatualizada BEFORE UPDATE ON public.produtos
+    FOR EACH ROW EXECUTE FUNCTION public.produtos_etiqueta_desatualizada();
+
+
+--
+-- Name: categorias; Type: TABLE; Schema: public; Owner: postgres
+-- Categorias de produtos em árvore: id_pai NULL = categoria principal
+--
+
+CREATE SEQUENCE public.categorias_id_seq
+    AS integer
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
+
+CREATE TABLE public.categorias (
+    id integer DEFAULT nextval('public.categorias_id_seq'::regclass) NOT NULL,
+    nome character varying(100) NOT NULL,
+    id_pai integer,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE public.categorias OWNER TO postgres;
+ALTER SEQUENCE public.categorias_id_seq OWNER TO postgres;
+ALTER SEQUENCE public.categorias_id_seq OWNED BY public.categorias.id;
+
+CREATE UNIQUE INDEX categorias_pai_nome_key ON public.categorias USING btree (COALESCE(id_pai, 0), lower((nome)::text));
+CREATE INDEX produtos_categoria_idx ON public.produtos USING btree (id_categoria);
+
+
+--
+-- Name: precos_historico; Type: TABLE; Schema: public; Owner: postgres
+-- Toda alteração de custo (valor_unitario) ou preço de venda. origem: CADASTRO, EDICAO, CARGA, ESTORNO_CARGA
+--
+
+CREATE SEQUENCE public.precos_historico_id_seq
+    AS integer
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
+
+CREATE TABLE public.precos_historico (
+    id integer DEFAULT nextval('public.precos_historico_id_seq'::regclass) NOT NULL,
+    id_produto integer NOT NULL,
+    valor_unitario_anterior numeric(10,2),
+    valor_unitario numeric(10,2),
+    valor_venda_anterior numeric(10,2),
+    valor_venda numeric(10,2),
+    origem character varying(20) NOT NULL,
+    id_usuario integer,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE public.precos_historico OWNER TO postgres;
+ALTER SEQUENCE public.precos_historico_id_seq OWNER TO postgres;
+ALTER SEQUENCE public.precos_historico_id_seq OWNED BY public.precos_historico.id;
+
+CREATE INDEX precos_historico_produto_idx ON public.precos_historico USING btree (id_produto, created_at);
+
+
+--
+-- Name: precos_programados; Type: TABLE; Schema: public; Owner: postgres
+-- Preço de venda com vigência (promoções): vale de inicio até fim (exclusivo; NULL = sem data para acabar)
+-- e tem prioridade sobre produtos.valor_venda. Os períodos de um mesmo produto não se sobrepõem.
+--
+
+CREATE SEQUENCE public.precos_programados_id_seq
+    AS integer
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
+
+CREATE TABLE public.precos_programados (
+    id integer DEFAULT nextval('public.precos_programados_id_seq'::regclass) NOT NULL,
+    id_produto integer NOT NULL,
+    valor_venda numeric(10,2) NOT NULL,
+    inicio timestamp without time zone NOT NULL,
+    fim timestamp without time zone,
+    descricao character varying(100),
+    id_usuario integer,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE public.precos_programados OWNER TO postgres;
+ALTER SEQUENCE public.precos_programados_id_seq OWNER TO postgres;
+ALTER SEQUENCE public.precos_programados_id_seq OWNED BY public.precos_programados.id;
+
+CREATE INDEX precos_programados_produto_idx ON public.precos_programados USING btree (id_produto, inicio);
+
+
+--
+-- Name: auditoria; Type: TABLE; Schema: public; Owner: postgres
+-- Trilha de alterações: quem (id e nome na época), de onde (IP), em que entidade/registro, qual ação
+-- e os valores antes/depois (nas edições, só os campos que mudaram).
+--
+
+CREATE SEQUENCE public.auditoria_id_seq
+    AS integer
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
+
+CREATE TABLE public.auditoria (
+    id integer DEFAULT nextval('public.auditoria_id_seq'::regclass) NOT NULL,
+    id_usuario integer,
+    usuario_nome character varying(255),
+    ip character varying(45),
+    entidade character varying(20) NOT NULL,
+    id_entidade integer,
+    acao character varying(20) NOT NULL,
+    antes jsonb,
+    depois jsonb,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+ALTER TABLE public.auditoria OWNER TO postgres;
+ALTER SEQUENCE public.auditoria_id_seq OWNER TO postgres;
+ALTER SEQUENCE public.auditoria_id_seq OWNED BY public.auditoria.id;
+
+CREATE INDEX auditoria_created_at_idx ON public.auditoria USING btree (created_at);
+
+CREATE INDEX auditoria_entidade_idx ON public.auditoria USING btree (entidade, id_entidade);
+
+
+--
+-- Name: papeis; Type: TABLE; Schema: public; Owner: postgres
+-- Papéis de usuário: usuarios.role guarda o código. 'admin' é fixo na aplicação (todas as permissões)
+-- e 'user', sem linha aqui, usa o conjunto padrão definido no app.js.
+--
+
+CREATE SEQUENCE public.papeis_id_seq
+    AS integer
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
+
+CREATE TABLE public.papeis (
+    id integer DEFAULT nextval('public.papeis_id_seq'::regclass) NOT NULL,
+    codigo character varying(20) NOT NULL,
+    nome character varying(60) NOT NULL,
+    descricao character varying(200),
+    permissoes text[] DEFAULT '{}'::text[] NOT NULL,
+    desconto_maximo numeric(5,2) DEFAULT 10 NOT NULL,
+    created_at timestamp without time zone DEFAULT now(),
+    updated_at timestamp without time zone DEFAULT now()
+);
+
+ALTER TABLE public.papeis OWNER TO postgres;
+ALTER SEQUENCE public.papeis_id_seq OWNER TO postgres;
+ALTER SEQUENCE public.papeis_id_seq OWNED BY public.papeis.id;
+
+CREATE UNIQUE INDEX papeis_codigo_idx ON public.papeis USING btree (codigo);
+
+
+--
+-- Name: senha_tokens; Type: TABLE; Schema: public; Owner: postgres
+-- Links de "esqueci minha senha": só o hash SHA-256 do token, validade e quando foi usado (uso único).
+--
+
+CREATE SEQUENCE public.senha_tokens_id_seq
+    AS integer
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
+
+CREATE TABLE public.senha_tokens (
+    id integer DEFAULT nextval('public.senha_tokens_id_seq'::regclass) NOT NULL,
+    id_usuario integer NOT NULL,
+    token_hash character(64) NOT NULL,
+    expira_em timestamp without time zone NOT NULL,
+    usado_em timestamp without time zone,
+    ip character varying(45),
+    created_at timestamp without time zone DEFAULT now()
+);
+
+ALTER TABLE public.senha_tokens OWNER TO postgres;
+ALTER SEQUENCE public.senha_tokens_id_seq OWNER TO postgres;
+ALTER SEQUENCE public.senha_tokens_id_seq OWNED BY public.senha_tokens.id;
+
+CREATE UNIQUE INDEX senha_tokens_token_hash_idx ON public.senha_tokens USING btree (token_hash);
+
+CREATE INDEX senha_tokens_id_usuario_idx ON public.senha_tokens USING btree (id_usuario);
+
+
+
 --
 -- TOC entry 5099 (class 0 OID 0)
 -- Dependencies: 5
@@ -0,0 +1,137 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  centavos, calcularDesconto, calcularPagamentos,
+  digitoVerificadorGtin, gtinValido, formatBarcodeFromId,
+  paraBase32, deBase32, codigoTotp, conferirTotp, normalizarRecuperacao
+} = require('../utilitarios');
+
+describe('centavos', () => {
+  it('arredonda para duas casas', () => {
+    assert.equal(centavos(0.1 + 0.2), 0.3);
+    assert.equal(centavos(1.239), 1.24);
+    assert.equal(centavos('19.90'), 19.9);
+  });
+
+  it('trata vazio como zero', () => {
+    assert.equal(centavos(null), 0);
+    assert.equal(centavos(undefined), 0);
+    assert.equal(centavos(''), 0);
+  });
+});
+
+describe('calcularDesconto', () => {
+  it('calcula percentual sobre a base, em centavos', () => {
+    assert.equal(calcularDesconto(100, 'PERCENTUAL', 10), 10);
+    assert.equal(calcularDesconto(99.99, 'PERCENTUAL', 15), 15);
+  });
+
+  it('usa o valor em R$ como está', () => {
+    assert.equal(calcularDesconto(50, 'VALOR', 5.5), 5.5);
+  });
+
+  it('sem tipo ou sem valor não dá desconto', () => {
+    assert.equal(calcularDesconto(50, null, 5), 0);
+    assert.equal(calcularDesconto(50, 'VALOR', 0), 0);
+  });
+
+  it('recusa desconto negativo, tipo desconhecido e desconto maior que a base', () => {
+    assert.throws(() => calcularDesconto(50, 'VALOR', -1), /negativo/);
+    assert.throws(() => calcularDesconto(50, 'BRINDE', 1), /Tipo de desconto inválido/);
+    assert.throws(() => calcularDesconto(50, 'VALOR', 50.01), /maior que o valor/);
+    assert.throws(() => calcularDesconto(50, 'PERCENTUAL', 101), /maior que o valor/);
+  });
+});
+
+describe('calcularPagamentos', () => {
+  it('pagamento exato não tem troco', () => {
+    const { linhas, troco } = calcularPagamentos([{ forma: 'pix', valor: '50' }], 50);
+    assert.equal(troco, 0);
+    assert.deepEqual(linhas, [{ forma: 'PIX', valor: 50, valor_recebido: 50 }]);
+  });
+
+  it('abate o troco do dinheiro e mantém o valor recebido', () => {
+    const { linhas, troco } = calcularPagamentos([
+      { forma: 'PIX', valor: 30 },
+      { forma: 'DINHEIRO', valor: 30 }
+    ], 50);
+    assert.equal(troco, 10);
+    assert.deepEqual(linhas, [
+      { forma: 'PIX', valor: 30, valor_recebido: 30 },
+      { forma: 'DINHEIRO', valor: 20, valor_recebido: 30 }
+    ]);
+  });
+
+  it('ignora linhas zeradas', () => {
+    const { linhas } = calcularPagamentos([{ forma: 'DEBITO', valor: 0 }, { forma: 'CREDITO', valor: 10 }], 10);
+    assert.deepEqual(linhas.map(l => l.forma), ['CREDITO']);
+  });
+
+  it('recusa pagamento vazio, insuficiente, forma desconhecida e troco sem dinheiro', () => {
+    assert.throws(() => calcularPagamentos([], 10), /ao menos uma forma/);
+    assert.throws(() => calcularPagamentos([{ forma: 'DINHEIRO', valor: 9.99 }], 10), /faltam R\$ 0\.01/);
+    assert.throws(() => calcularPagamentos([{ forma: 'CHEQUE', valor: 10 }], 10), /Forma de pagamento inválida: CHEQUE/);
+    assert.throws(() => calcularPagamentos([{ forma: 'PIX', valor: 60 }], 50), /troco só em dinheiro/);
+  });
+});
+
+describe('códigos de barras', () => {
+  it('calcula o dígito verificador GTIN', () => {
+    assert.equal(digitoVerificadorGtin('400638133393'), '1');
+    assert.equal(digitoVerificadorGtin('590123412345'), '7');
+    assert.equal(digitoVerificadorGtin('03600029145'), '2');
+  });
+
+  it('valida EAN-8, UPC-A e EAN-13', () => {
+    assert.equal(gtinValido('4006381333931'), true);
+    assert.equal(gtinValido('036000291452'), true);
+    assert.equal(gtinValido('96385074'), true);
+    assert.equal(gtinValido('4006381333932'), false);
+    assert.equal(gtinValido('123456789'), false);
+    assert.equal(gtinValido('40063813339a1'), false);
+  });
+
+  it('gera o EAN-13 interno a partir do id', () => {
+    const codigo = formatBarcodeFromId(42);
+    assert.equal(codigo.length, 13);
+    assert.equal(codigo.slice(0, 12), '200000000042');
+    assert.equal(gtinValido(codigo), true);
+  });
+});
+
+describe('TOTP', () => {
+  // Vetores da RFC 6238 (SHA1), truncados em 6 dígitos
+  const segredo = paraBase32(Buffer.from('12345678901234567890'));
+
+  it('converte de e para base32', () => {
+    assert.equal(segredo, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    assert.equal(deBase32(segredo).toString(), '12345678901234567890');
+    assert.equal(deBase32(segredo.toLowerCase() + '====').toString(), '12345678901234567890');
+  });
+
+  it('gera os códigos da RFC 6238', () => {
+    assert.equal(codigoTotp(segredo, 1), '287082');
+    assert.equal(codigoTotp(segredo, 37037036), '081804');
+    assert.equal(codigoTotp(segredo, 41152263), '005924');
+  });
+
+  it('aceita o código do passo atual e um passo de diferença', () => {
+    assert.equal(conferirTotp(segredo, '287082', null, 59 * 1000), 1);
+    assert.equal(conferirTotp(segredo, '287 082', null, 59 * 1000), 1);
+    assert.equal(conferirTotp(segredo, '287082', null, 61 * 1000), 1);
+    assert.equal(conferirTotp(segredo, '287082', null, 10 * 1000), 1);
+  });
+
+  it('recusa código fora da janela, já usado ou malformado', () => {
+    assert.equal(conferirTotp(segredo, '287082', null, 120 * 1000), null);
+    assert.equal(conferirTotp(segredo, '287082', 1, 59 * 1000), null);
+    assert.equal(conferirTotp(segredo, '28708', null, 59 * 1000), null);
+    assert.equal(conferirTotp(segredo, 'abcdef', null, 59 * 1000), null);
+    assert.equal(conferirTotp(null, '287082', null, 59 * 1000), null);
+  });
+
+  it('normaliza códigos de recuperação', () => {
+    assert.equal(normalizarRecuperacao(' AB12C-3de45 '), 'ab12c3de45');
+    assert.equal(normalizarRecuperacao(null), '');
+  });
+});
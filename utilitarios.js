@@ -0,0 +1,138 @@
+// Funções puras usadas pelo app.js (sem banco nem Express), separadas para poderem ser testadas
+// sem subir o servidor: valores em dinheiro, descontos, pagamentos, códigos de barras e TOTP.
+const crypto = require('crypto');
+
+// --------- Dinheiro, descontos e pagamentos ---------
+const FORMAS_PAGAMENTO = {
+  DINHEIRO: 'Dinheiro',
+  PIX: 'PIX',
+  DEBITO: 'Cartão de débito',
+  CREDITO: 'Cartão de crédito'
+};
+
+const centavos = v => Math.round(Number(v || 0) * 100) / 100;
+
+// tipo: 'PERCENTUAL' (valor em %) ou 'VALOR' (valor em R$). Devolve o desconto em R$.
+function calcularDesconto(base, tipo, valor) {
+  const v = centavos(valor);
+  if (!tipo || !v) return 0;
+  if (v < 0) throw new Error('Desconto não pode ser negativo.');
+  if (tipo !== 'PERCENTUAL' && tipo !== 'VALOR') throw new Error(`Tipo de desconto inválido: ${tipo}`);
+  const desconto = tipo === 'PERCENTUAL' ? centavos(base * v / 100) : v;
+  if (desconto > centavos(base)) throw new Error('Desconto maior que o valor a pagar.');
+  return desconto;
+}
+
+// Valida os pagamentos contra o total e calcula o troco.
+// Troco só sai do dinheiro: é abatido dos pagamentos em dinheiro (valor) mantendo o valor_recebido.
+function calcularPagamentos(pagamentos, total) {
+  const lista = (Array.isArray(pagamentos) ? pagamentos : [])
+    .map(p => ({ forma: String(p.forma || '').toUpperCase(), valor: centavos(p.valor) }))
+    .filter(p => p.valor > 0);
+
+  if (lista.length === 0) throw new Error('Informe ao menos uma forma de pagamento.');
+  for (const p of lista) {
+    if (!FORMAS_PAGAMENTO[p.forma]) throw new Error(`Forma de pagamento inválida: ${p.forma}`);
+  }
+
+  const recebido = centavos(lista.reduce((acc, p) => acc + p.valor, 0));
+  const falta = centavos(total - recebido);
+  if (falta > 0) throw new Error(`Pagamento insuficiente: faltam R$ ${falta.toFixed(2)}.`);
+
+  const troco = centavos(recebido - total);
+  const emDinheiro = centavos(lista.filter(p => p.forma === 'DINHEIRO').reduce((acc, p) => acc + p.valor, 0));
+  if (troco > emDinheiro) {
+    throw new Error('Pagamentos em PIX/cartão não podem ultrapassar o total da venda (troco só em dinheiro).');
+  }
+
+  let restante = troco;
+  const linhas = lista.map(p => {
+    if (p.forma !== 'DINHEIRO' || restante === 0) return { ...p, valor_recebido: p.valor };
+    const abatido = Math.min(restante, p.valor);
+    restante = centavos(restante - abatido);
+    return { ...p, valor: centavos(p.valor - abatido), valor_recebido: p.valor };
+  });
+
+  return { linhas, troco };
+}
+
+// --------- Códigos de barras ---------
+// Faixa 20–29 do EAN-13 é reservada para uso interno da loja: não colide com códigos de fabricante.
+// Produtos antigos continuam com o código de 12 dígitos (id com zeros à esquerda) que já está nas etiquetas.
+const PREFIXO_EAN_INTERNO = '20';
+
+// Dígito verificador GTIN (EAN-8, UPC-A, EAN-13, GTIN-14): pesos 3 e 1 alternados a partir da direita
+function digitoVerificadorGtin(corpo) {
+  let soma = 0;
+  for (let i = 0; i < corpo.length; i++) {
+    soma += Number(corpo[corpo.length - 1 - i]) * (i % 2 === 0 ? 3 : 1);
+  }
+  return String((10 - (soma % 10)) % 10);
+}
+
+function gtinValido(codigo) {
+  return /^(\d{8}|\d{12,14})$/.test(codigo) && digitoVerificadorGtin(codigo.slice(0, -1)) === codigo.slice(-1);
+}
+
+// Código interno do produto: EAN-13 = prefixo interno + id com 10 dígitos + dígito verificador
+function formatBarcodeFromId(id) {
+  const corpo = PREFIXO_EAN_INTERNO + String(id).padStart(10, '0').slice(-10);
+  return corpo + digitoVerificadorGtin(corpo);
+}
+
+// --------- Verificação em duas etapas (TOTP) ---------
+// Códigos de 6 dígitos a cada 30 s (RFC 6238, HMAC-SHA1), os mesmos do Google Authenticator,
+// Authy, Microsoft Authenticator etc. Aceita um passo de diferença no relógio do celular, e um
+// código já usado não vale de novo (totp_ultimo_passo).
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function paraBase32(buffer) {
+  const bits = [...buffer].map(b => b.toString(2).padStart(8, '0')).join('');
+  return bits.match(/.{1,5}/g).map(b => BASE32[parseInt(b.padEnd(5, '0'), 2)]).join('');
+}
+
+function deBase32(texto) {
+  const bits = [...texto.toUpperCase().replace(/[=\s]/g, '')]
+    .map(c => BASE32.indexOf(c).toString(2).padStart(5, '0')).join('');
+  return Buffer.from((bits.match(/.{8}/g) || []).map(b => parseInt(b, 2)));
+}
+
+function codigoTotp(segredo, passo) {
+  const contador = Buffer.alloc(8);
+  contador.writeBigUInt64BE(BigInt(passo));
+  const hmac = crypto.createHmac('sha1', deBase32(segredo)).update(contador).digest();
+  const inicio = hmac[hmac.length - 1] & 0x0f;
+  return String((hmac.readUInt32BE(inicio) & 0x7fffffff) % 1000000).padStart(6, '0');
+}
+
+// Passo de tempo aceito para o código (grava-se em totp_ultimo_passo) ou null.
+// agora (ms) só é informado nos testes.
+function conferirTotp(segredo, codigo, ultimoPasso, agora = Date.now()) {
+  codigo = String(codigo || '').replace(/\s/g, '');
+  if (!segredo || !/^\d{6}$/.test(codigo)) return null;
+  const atual = Math.floor(agora / 30000);
+  for (const passo of [atual - 1, atual, atual + 1]) {
+    if (passo <= Number(ultimoPasso || 0)) continue;
+    if (crypto.timingSafeEqual(Buffer.from(codigoTotp(segredo, passo)), Buffer.from(codigo))) return passo;
+  }
+  return null;
+}
+
+// Códigos de recuperação são guardados/comparados sem hífen, espaços ou maiúsculas
+const normalizarRecuperacao = codigo => String(codigo || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+
+module.exports = {
+  FORMAS_PAGAMENTO,
+  centavos,
+  calcularDesconto,
+  calcularPagamentos,
+  PREFIXO_EAN_INTERNO,
+  digitoVerificadorGtin,
+  gtinValido,
+  formatBarcodeFromId,
+  paraBase32,
+  deBase32,
+  codigoTotp,
+  conferirTotp,
+  normalizarRecuperacao
+};